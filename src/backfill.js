@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { MediaArchiver } from './modules/MediaArchiver.js';
+import { ThreadResolver, THREAD_CONFIDENCE } from './modules/ThreadResolver.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+const TARGETS = ['entities', 'media', 'threads'];
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+数据回填 - 使用说明
+
+用法:
+  npm run backfill -- entities                   # 从已有推文解析话题、链接和提及
+  npm run backfill -- entities --batch-size=500
+  npm run backfill -- media                      # 归档已有推文的媒体文件
+  npm run backfill -- media --profile-images     # 同时归档用户头像和横幅
+  npm run backfill -- threads                    # 重新解析已有回复的回复关系
+
+说明:
+  entities: 重新解析 twitter_posts 的 hashtags/urls/media_urls 字段和正文 @提及，
+            写入 post_hashtags / post_urls / post_mentions。可重复执行，结果不变。
+            (新采集的推文在导入时已自动解析)
+  media:    下载已有推文的 media_urls 到媒体存储 (config.media，见 MEDIA_STORAGE 等环境变量)。
+            已归档的链接会跳过，失败次数达到 maxAttempts 的链接不再重试。
+  threads:  按 @提及、作者和时间重新推断 in_reply_to_tweet_id / conversation_id，
+            并写入 thread_confidence。只覆盖可信度不高于新结果的记录，explicit 不会被修改。
+
+选项:
+  --batch-size=<number>            # 每批处理的行数 (默认: 1000)
+  --profile-images                 # media: 包含 twitter_users 的头像和横幅
+`);
+}
+
+// 回填推文实体
+async function backfillEntities(database, batchSize) {
+  console.log('🏷️  开始回填推文实体...');
+
+  const totals = await database.backfillPostEntities({
+    batchSize,
+    onProgress: processed => console.log(`   已处理 ${processed} 条推文`)
+  });
+
+  console.log(`✅ 回填完成: ${totals.posts} 条推文, 话题 ${totals.hashtags}, 链接 ${totals.urls}, 提及 ${totals.mentions}`);
+}
+
+// 回填媒体归档
+async function backfillMedia(database, batchSize, profileImages) {
+  const archiver = new MediaArchiver({ ...config.media, profileImages }, database);
+  const totals = { archived: 0, deduplicated: 0, skipped: 0, failed: 0, bytes: 0 };
+  const sources = profileImages ? ['posts', 'users'] : ['posts'];
+
+  console.log(`🖼️  开始归档媒体 (存储: ${archiver.store.name})...`);
+
+  for (const source of sources) {
+    for await (const rows of database.streamMediaSourceRows(source, batchSize)) {
+      const references = source === 'posts'
+        ? archiver.collectPostMedia(rows)
+        : archiver.collectUserImages(rows);
+      const stats = await archiver.archive(references);
+      Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+      console.log(`   ${source}: 新增 ${totals.archived}, 重复内容 ${totals.deduplicated}, 跳过 ${totals.skipped}, 失败 ${totals.failed}`);
+    }
+  }
+
+  const megabytes = (totals.bytes / 1024 / 1024).toFixed(1);
+  console.log(`✅ 归档完成: 新增 ${totals.archived} 个文件 (${megabytes} MB), 重复内容 ${totals.deduplicated}, 跳过 ${totals.skipped}, 失败 ${totals.failed}`);
+}
+
+// 回复关系按窗口解析: 每次读取的推文数，以及带入下一个窗口的上一窗口末尾推文数
+// 导出中父推文通常就在回复附近，窗口之间保留上下文即可，不必把用户的全部推文读入内存
+const THREAD_WINDOW_SIZE = 2000;
+const THREAD_CONTEXT_SIZE = 500;
+
+// 重新解析回复关系
+async function backfillThreads(database) {
+  const resolver = new ThreadResolver();
+  const users = await database.getUsersWithReplies();
+  const totals = { posts: 0, updated: 0, reliable: 0, guessed: 0, unresolved: 0 };
+  const threadKey = post => [post.in_reply_to_tweet_id, post.conversation_id, post.thread_confidence].map(v => v ?? '').join('|');
+
+  console.log(`🧵 开始解析 ${users.length} 个用户的回复关系...`);
+
+  for (const user of users) {
+    const stats = { posts: 0, updated: 0, explicit: 0, inferred: 0, guessed: 0, unresolved: 0 };
+    let context = [];
+    let afterId = 0;
+
+    while (true) {
+      const posts = await database.getPostsForThreadResolution(user.id, { afterId, limit: THREAD_WINDOW_SIZE });
+      if (posts.length === 0) break;
+
+      const before = new Map(posts.map(post => [post.tweet_id, threadKey(post)]));
+
+      // 旧数据的回复关系按导出顺序猜测而来，除 explicit 外全部重新解析
+      posts.forEach(post => {
+        if (post.thread_confidence !== THREAD_CONFIDENCE.EXPLICIT) {
+          post.in_reply_to_tweet_id = null;
+          post.conversation_id = null;
+          post.thread_confidence = null;
+        }
+      });
+
+      // 上一窗口的推文已解析过，只作为候选父推文，不重复统计和写入
+      resolver.resolve([...context, ...posts]);
+      posts.forEach(post => {
+        if (String(post.type).toLowerCase() === 'reply' || post.in_reply_to_tweet_id) {
+          stats[post.thread_confidence || 'unresolved']++;
+        }
+      });
+
+      const changed = posts.filter(post => before.get(post.tweet_id) !== threadKey(post));
+      stats.updated += await database.updateThreadLinks(changed);
+      stats.posts += posts.length;
+
+      context = [...context, ...posts].slice(-THREAD_CONTEXT_SIZE);
+      afterId = posts[posts.length - 1].id;
+    }
+
+    totals.posts += stats.posts;
+    totals.updated += stats.updated;
+    totals.reliable += stats.explicit + stats.inferred;
+    totals.guessed += stats.guessed;
+    totals.unresolved += stats.unresolved;
+    console.log(`   @${user.username}: ${stats.posts} 条推文, 更新 ${stats.updated} 条 (可靠 ${stats.explicit + stats.inferred}, 推测 ${stats.guessed}, 未解析 ${stats.unresolved})`);
+  }
+
+  console.log(`✅ 解析完成: ${totals.posts} 条推文, 更新 ${totals.updated} 条, 可靠 ${totals.reliable}, 推测 ${totals.guessed}, 未解析 ${totals.unresolved}`);
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const target = options._[0];
+
+  if (options.help || !target) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (!TARGETS.includes(target)) {
+    console.error(`❌ 未知的回填类型: ${target}`);
+    showHelp();
+    process.exit(1);
+  }
+
+  const batchSize = options['batch-size'] ? parseInt(options['batch-size']) : 1000;
+  if (isNaN(batchSize) || batchSize <= 0) {
+    console.error(`❌ 无效的数值 --batch-size=${options['batch-size']}`);
+    process.exit(1);
+  }
+
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+    if (target === 'entities') {
+      await backfillEntities(database, batchSize);
+    } else if (target === 'media') {
+      await backfillMedia(database, batchSize, Boolean(options['profile-images']) || config.media.profileImages);
+    } else {
+      await backfillThreads(database);
+    }
+  } catch (error) {
+    console.error('❌ 回填失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -7,8 +7,11 @@ import { ExtensionController } from './modules/ExtensionController.js';
 import { DataExporter } from './modules/DataExporter.js';  // 保留用于本地调试
 import { BatchRunner } from './modules/BatchRunner.js';
 import { IncrementalCollector } from './modules/IncrementalCollector.js';
+import { Notifier } from './modules/Notifier.js';
 import { DatabaseManager } from './modules/DatabaseManager.js';
+import { ERROR_CATEGORIES, classifyError, createTaskError } from './modules/TaskErrors.js';
 import readline from 'readline';
+import fs from 'fs';
 import path from 'path';
 
 /**
@@ -145,12 +148,14 @@ class BatchTwitterScraper {
     const { username, type, maxCount } = user;
     let dashboardPage = null;
 
-    // 整个任务的超时限制：90秒，确保大于 monitorProgress 的 maxWaitTime (60秒)
+    // 导出和下载阶段的超时限制：90秒，确保大于 monitorProgress 的 maxWaitTime (60秒)
+    // 入库不受此限制: 事务一旦开始就等待它提交或回滚，任务结果与实际写入一致
     const taskTimeout = 90000;
+    let timeoutTimer = null;
 
     try {
-      // 使用 Promise.race 为整个任务添加超时保护
-      const result = await Promise.race([
+      // 使用 Promise.race 为插件导出和下载添加超时保护
+      const rawData = await Promise.race([
         (async () => {
           // 1. 自动配置插件
           await this.extensionCtrl.autoConfigureExtension(type, maxCount, username);
@@ -174,46 +179,50 @@ class BatchTwitterScraper {
           let rawData = await this.readDownloadedFile(username, type);
 
           if (rawData.length === 0) {
-            console.log(`⚠️  未采集到数据，跳过`);
-            return { total: 0, new: 0, updated: 0 };
+            throw createTaskError('未采集到数据', ERROR_CATEGORIES.EMPTY_DATA);
           }
 
-          // 检查数据量是否异常低（低于5条可能是插件故障）
-          if (rawData.length < 5) {
-            console.warn(`⚠️  采集数据量异常低 (${rawData.length} 条)，可能是插件故障`);
-            // 标记为失败，触发重置机制
-            this.extensionCtrl.consecutiveFailures++;
-          }
+          return rawData;
+        })(),
+        new Promise((_, reject) => {
+          timeoutTimer = setTimeout(() => reject(new Error(`任务超时 (${taskTimeout/1000}秒)`)), taskTimeout);
+        })
+      ]);
+      clearTimeout(timeoutTimer);
 
-          console.log(`📊 读取到 ${rawData.length} 条原始数据`);
+      // 检查数据量是否异常低（低于5条可能是插件故障）
+      if (rawData.length < 5) {
+        console.warn(`⚠️  采集数据量异常低 (${rawData.length} 条)，可能是插件故障`);
+        // 标记为失败，触发重置机制
+        this.extensionCtrl.consecutiveFailures++;
+      }
 
-          // 6. 增量处理 - 合并新旧数据（数据已入库）
-          const processResult = await this.incrementalCollector.processCollectedData(username, type, rawData);
+      console.log(`📊 读取到 ${rawData.length} 条原始数据`);
 
-          // 只有数据量正常时才重置失败计数
-          if (rawData.length >= 5) {
-            this.extensionCtrl.consecutiveFailures = 0;
-          }
+      // 6. 增量处理 - 合并新旧数据（数据已入库）
+      const processResult = await this.incrementalCollector.processCollectedData(username, type, rawData, { maxCount });
 
-          return processResult;
-        })(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`任务超时 (${taskTimeout/1000}秒)`)), taskTimeout)
-        )
-      ]);
+      // 只有数据量正常时才重置失败计数
+      if (rawData.length >= 5) {
+        this.extensionCtrl.consecutiveFailures = 0;
+      }
 
-      return result;
+      return processResult;
 
     } catch (error) {
       console.error(`❌ 采集失败: ${error.message}`);
 
-      // 追踪失败
-      this.extensionCtrl.consecutiveFailures++;
-      this.extensionCtrl.lastFailureTime = Date.now();
+      // 追踪失败 (空数据是用户本身的问题，不计入插件失败)
+      if (classifyError(error) !== ERROR_CATEGORIES.EMPTY_DATA) {
+        this.extensionCtrl.consecutiveFailures++;
+        this.extensionCtrl.lastFailureTime = Date.now();
+      }
 
-      // 任务失败但不阻断整体流程，返回空结果
-      return { total: 0, new: 0, updated: 0 };
+      // 交给 BatchRunner 记录失败并退避，是否继续由 continueOnError 决定
+      throw error;
     } finally {
+      clearTimeout(timeoutTimer);
+
       // 7. 无论成功失败，都要关闭dashboard页面
       if (dashboardPage) {
         try {
@@ -228,6 +237,14 @@ class BatchTwitterScraper {
     }
   }
 
+  /**
+   * 归档采集结果中的媒体文件 (BatchRunner 在任务记录为成功后调用，不受任务超时限制)
+   * @param {Array} references - collectForUser 结果中的 mediaReferences
+   */
+  async archiveMedia(references) {
+    return await this.incrementalCollector.archiveMedia(references);
+  }
+
   /**
    * 读取下载的文件
    */
@@ -384,16 +401,38 @@ class BatchTwitterScraper {
       const batchRunner = new BatchRunner(this, this.config, this.database);
       const report = await batchRunner.run(options);
 
+      if (batchRunner.notified) {
+        this.markNotified();
+      }
+
       return report;
 
     } catch (error) {
       console.error('\n❌ 批量任务失败:', error.message);
+      // BatchRunner 会自行通知运行结果，这里只会收到初始化、登录阶段的错误
+      if (await new Notifier(this.config.notify).notifyError(error) > 0) {
+        this.markNotified();
+      }
       throw error;
     } finally {
       await this.cleanup();
     }
   }
 
+  /**
+   * 记录本次运行已由 Notifier 发出通知 (GitHub Actions 步骤输出 notified=true)
+   * workflow 据此跳过兜底通知；之后进程崩溃或被杀时没有这个标记，仍会兜底
+   */
+  markNotified() {
+    if (!process.env.GITHUB_OUTPUT) return;
+
+    try {
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, 'notified=true\n');
+    } catch (error) {
+      console.warn(`⚠️  写入步骤输出失败: ${error.message}`);
+    }
+  }
+
   /**
    * 采集单个用户 (独立运行模式)
    */
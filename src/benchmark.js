@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { Migrator } from './modules/Migrator.js';
+import { parseArgs, printTable } from './modules/CommandLine.js';
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+入库性能测试 - 使用说明
+
+用法:
+  npm run benchmark                          # 10 万条历史数据，每次导入 2000 条
+  npm run benchmark -- --rows=500000 --incoming=5000 --runs=5
+
+选项:
+  --rows=<number>                  # 预置的历史推文/关注者数量 (默认: 100000)
+  --incoming=<number>              # 每次导入的行数，一半已存在、一半为新数据 (默认: 2000)
+  --runs=<number>                  # 每种方式重复次数，取中位数 (默认: 3)
+  --file=<path>                    # SQLite 文件路径，必须是新文件 (默认: 系统临时目录，结束后删除)
+  --keep                           # 保留 SQLite 文件
+
+说明:
+  对比两种统计新增/更新数量的方式:
+    全量加载: 读取该用户的全部已有ID到内存再比对 (旧实现)
+    分批查询: 只按 1000 个一组查询本次导入的ID (当前实现)
+  入库耗时 = 统计 + batchUpsertPosts / batchUpsertFollowers，在同一个事务中执行
+  始终使用独立的 SQLite 文件，不会读写 DATABASE_URL 指向的数据库
+`);
+}
+
+// 中位数
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// 预置历史数据 (直接批量写入，不经过快照/实体等附加处理)
+async function seed(database, userId, rows) {
+  const connection = await database.getConnection();
+  const chunkSize = 1000;
+  const publishedAt = database.parseDateTime(new Date('2024-01-01T00:00:00Z'));
+
+  try {
+    await connection.beginTransaction();
+    for (let i = 0; i < rows; i += chunkSize) {
+      const count = Math.min(chunkSize, rows - i);
+      const ids = Array.from({ length: count }, (_, j) => String(i + j + 1));
+
+      await connection.query(
+        `INSERT INTO twitter_posts (tweet_id, user_id, text, type, published_at)
+         VALUES ${ids.map(() => '(?,?,?,?,?)').join(',')}`,
+        ids.flatMap(id => [id, userId, `post ${id}`, 'Tweet', publishedAt])
+      );
+      await connection.query(
+        `INSERT INTO twitter_followers (user_id, follower_user_id, follower_username, relation_type)
+         VALUES ${ids.map(() => '(?,?,?,?)').join(',')}`,
+        ids.flatMap(id => [userId, id, `user${id}`, 'follower'])
+      );
+    }
+    await connection.commit();
+  } finally {
+    connection.release();
+  }
+}
+
+// 旧实现: 读取该用户的全部已有ID
+async function loadAllIds(database, sql, params) {
+  const connection = await database.getConnection();
+
+  try {
+    const [rows] = await connection.query(sql, params);
+    return new Set(rows.map(row => String(Object.values(row)[0])));
+  } finally {
+    connection.release();
+  }
+}
+
+// 本次导入的数据: 一半是已有ID，一半是新ID (每次运行的新ID不重复)
+function buildIncoming(rows, incoming, nextId) {
+  const existingCount = Math.min(Math.floor(incoming / 2), rows);
+  const ids = [
+    ...Array.from({ length: existingCount }, (_, i) => String(Math.floor((i * rows) / existingCount) + 1)),
+    ...Array.from({ length: incoming - existingCount }, (_, i) => String(nextId + i))
+  ];
+  return { ids, nextId: nextId + incoming - existingCount };
+}
+
+// 执行一次导入并计时
+async function measure(database, strategy, dataset, userId, ids) {
+  const now = new Date().toISOString();
+  let countMs = 0;
+  let loaded = 0;
+  let updated = 0;
+  const start = performance.now();
+
+  await database.transaction(async tx => {
+    const countStart = performance.now();
+    let existing;
+
+    if (dataset === 'posts') {
+      existing = strategy === 'full'
+        ? await loadAllIds(tx, 'SELECT tweet_id FROM twitter_posts WHERE user_id = ?', [userId])
+        : await tx.findExistingPostIds(userId, ids);
+    } else {
+      existing = strategy === 'full'
+        ? await loadAllIds(tx, `SELECT follower_user_id FROM twitter_followers
+                                WHERE user_id = ? AND relation_type = 'follower' AND removed_at IS NULL`, [userId])
+        : await tx.findExistingFollowerIds(userId, 'follower', ids);
+    }
+    loaded = existing.size;
+    updated = ids.filter(id => existing.has(id)).length;
+    countMs = performance.now() - countStart;
+
+    if (dataset === 'posts') {
+      await tx.batchUpsertPosts(ids.map(id => ({ tweet_id: id, text: `post ${id}`, type: 'Tweet', published_at: now })), userId);
+    } else {
+      await tx.batchUpsertFollowers(ids.map(id => ({ user_id: id, username: `user${id}` })), userId, 'follower');
+    }
+  });
+
+  return { countMs, totalMs: performance.now() - start, loaded, updated };
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const rows = parseInt(options.rows || '100000');
+  const incoming = parseInt(options.incoming || '2000');
+  const runs = parseInt(options.runs || '3');
+  const file = path.resolve(options.file || path.join(os.tmpdir(), `twitter-benchmark-${process.pid}.db`));
+
+  if (fs.existsSync(file)) {
+    console.error(`❌ 文件已存在: ${file} (请指定新的 --file)`);
+    process.exit(1);
+  }
+
+  // 指向独立的 SQLite 文件，避免写入正式数据库
+  process.env.DATABASE_URL = `sqlite:${file}`;
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+    await new Migrator(database).up();
+
+    const userId = await database.upsertUser({ username: 'benchmark_user' });
+    console.log(`\n🌱 预置 ${rows} 条推文和 ${rows} 个关注者...`);
+    const seedStart = performance.now();
+    await seed(database, userId, rows);
+    console.log(`   完成 (${((performance.now() - seedStart) / 1000).toFixed(1)}s)`);
+
+    const results = [];
+    let nextId = rows + 1;
+
+    for (const dataset of ['posts', 'followers']) {
+      for (const [strategy, label] of [['full', '全量加载 (旧)'], ['chunked', '分批查询 (新)']]) {
+        const samples = [];
+        for (let run = 0; run < runs; run++) {
+          const batch = buildIncoming(rows, incoming, nextId);
+          nextId = batch.nextId;
+          samples.push(await measure(database, strategy, dataset, userId, batch.ids));
+        }
+
+        results.push({
+          dataset,
+          label,
+          loaded: samples[0].loaded,
+          updated: samples[0].updated,
+          countMs: median(samples.map(s => s.countMs)).toFixed(1),
+          totalMs: median(samples.map(s => s.totalMs)).toFixed(1)
+        });
+      }
+    }
+
+    console.log(`\n📊 历史数据 ${rows} 条，每次导入 ${incoming} 条，取 ${runs} 次中位数:\n`);
+    printTable(results, [
+      ['dataset', '数据'],
+      ['label', '统计方式'],
+      ['loaded', '读取ID数'],
+      ['updated', '已存在'],
+      ['countMs', '统计耗时(ms)'],
+      ['totalMs', '入库耗时(ms)']
+    ]);
+  } catch (error) {
+    console.error('❌ 性能测试失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+    if (!options.keep) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  }
+}
+
+main();
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { DataExporter } from './modules/DataExporter.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+const DATASETS = ['posts', 'users', 'following', 'followers'];
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+数据库数据导出 - 使用说明
+
+用法:
+  npm run export -- posts                  # 导出全部推文
+  npm run export -- users                  # 导出用户资料
+  npm run export -- following --users=elonmusk
+  npm run export -- followers --users=sama
+
+过滤选项:
+  --users=<user1,user2>            # 只导出这些用户 (posts: 作者; following/followers: 被采集的用户)
+  --since=<date> --until=<date>    # 时间范围 (posts: 发布时间; users: 更新时间; following/followers: 首次发现时间)
+  --type=<Tweet|Reply|...>         # posts: 推文类型
+  --min-engagement=<number>        # posts: 点赞+转推+回复+引用 总数下限; 其余: 粉丝数下限
+  --include-removed                # following/followers: 包含已取关的关系
+  --hashtag=<tag>                  # posts: 包含该话题
+  --domain=<domain>                # posts: 包含指向该域名的链接
+  --mention=<username>             # posts: 提及该用户
+  --suspected-deleted              # posts: 只导出疑似删除的推文
+  --text=<latest|revisions>        # posts: latest 只导出最新正文 (默认); revisions 附带全部编辑版本 (revisions 列)
+
+输出选项:
+  --format=<csv|json|both>         # 输出格式 (默认: ${config.output.format})
+  --output=<dir>                   # 输出目录 (默认: ${config.output.directory})
+  --filename=<name>                # 文件名 (不含扩展名，默认: <类型>_<时间戳>)
+  --page-size=<number>             # 每次从数据库读取的行数 (默认: 5000)
+
+示例:
+  npm run export -- posts --users=elonmusk,sama --since=2025-01-01 --format=csv
+  npm run export -- posts --type=Tweet --min-engagement=1000 --format=json
+  npm run export -- posts --hashtag=AI --domain=github.com
+`);
+}
+
+// 解析日期参数
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`无效的日期 --${name}=${value}`);
+  }
+  return date;
+}
+
+// 解析正整数参数
+function parsePositiveInt(value, name) {
+  const number = parseInt(value);
+  if (isNaN(number) || number < 0) {
+    throw new Error(`无效的数值 --${name}=${value}`);
+  }
+  return number;
+}
+
+// 正文模式
+function parseTextMode(value) {
+  const mode = value ? String(value) : 'latest';
+  if (!['latest', 'revisions'].includes(mode)) {
+    throw new Error(`无效的正文模式 --text=${value} (可选: latest, revisions)`);
+  }
+  return mode;
+}
+
+// 构造过滤条件
+function buildFilters(options) {
+  return {
+    usernames: options.users
+      ? String(options.users).split(',').map(u => u.trim().replace(/^@/, '')).filter(Boolean)
+      : null,
+    since: options.since ? parseDate(options.since, 'since') : null,
+    until: options.until ? parseDate(options.until, 'until') : null,
+    type: options.type ? String(options.type) : null,
+    minEngagement: options['min-engagement'] ? parsePositiveInt(options['min-engagement'], 'min-engagement') : null,
+    includeRemoved: Boolean(options['include-removed']),
+    hashtag: options.hashtag ? String(options.hashtag) : null,
+    domain: options.domain ? String(options.domain) : null,
+    mention: options.mention ? String(options.mention) : null,
+    suspectedDeleted: Boolean(options['suspected-deleted']),
+    revisions: parseTextMode(options.text) === 'revisions'
+  };
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const dataset = options._[0];
+
+  if (options.help || !dataset) {
+    showHelp();
+    process.exit(0);
+  }
+
+  if (!DATASETS.includes(dataset)) {
+    console.error(`❌ 未知的导出类型: ${dataset} (可选: ${DATASETS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const format = options.format || config.output.format;
+  if (!['csv', 'json', 'both'].includes(format)) {
+    console.error(`❌ 不支持的格式: ${format}`);
+    process.exit(1);
+  }
+
+  const database = new DatabaseManager(config.database);
+
+  try {
+    const filters = buildFilters(options);
+    const pageSize = options['page-size'] ? parsePositiveInt(options['page-size'], 'page-size') : 5000;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+
+    const exporter = new DataExporter({
+      ...config,
+      output: {
+        ...config.output,
+        format,
+        directory: options.output || config.output.directory,
+        filename: options.filename || `${dataset}_${timestamp}`
+      }
+    });
+
+    await database.init();
+
+    console.log(`💾 开始导出 ${dataset}...`);
+    await exporter.exportStream(database.streamExportRows(dataset, filters, pageSize || 5000));
+  } catch (error) {
+    console.error('❌ 导出失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+历史数据查询 - 使用说明
+
+用法:
+  npm run history -- profile <username>            # 资料变更时间线 (名称、简介、头像等)
+  npm run history -- follows <username>            # 最近 7 天的关注/取关变化
+  npm run history -- graph <username>              # 当前的关注列表
+  npm run history -- graph <username> --at=2025-01-01
+  npm run history -- deleted <username>            # 疑似删除的推文
+  npm run history -- revisions <tweetId>           # 推文正文的编辑历史
+  npm run history -- quarantine <username>         # 未通过校验而被隔离的导出行
+
+选项:
+  --field=<name|bio|...>           # profile: 只看某个字段
+  --type=<following|followers>     # 关系类型 (默认: following)
+  --days=<number>                  # follows: 查询最近 N 天 (默认: 7)
+  --since=<date> --until=<date>    # follows: 指定时间范围 (覆盖 --days)
+  --at=<date>                      # graph: 还原该时刻的关系 (默认: 当前)
+  --task=<posts|replies|...>       # quarantine: 只看某类任务
+  --limit=<number>                 # quarantine: 显示条数 (默认: 20)
+
+示例:
+  npm run history -- profile elonmusk --field=bio
+  npm run history -- follows elonmusk --days=30
+  npm run history -- follows sama --type=followers --since=2025-01-01 --until=2025-02-01
+`);
+}
+
+// 解析日期参数
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`无效的日期 --${name}=${value}`);
+  }
+  return date;
+}
+
+// 格式化一条关系
+function formatRelation(row, timeField) {
+  const time = row[timeField] ? row[timeField].toISOString().slice(0, 16).replace('T', ' ') : '-';
+  const name = row.name ? ` (${row.name})` : '';
+  return `  ${time}  @${row.username}${name}`;
+}
+
+// 资料变更时间线
+async function showProfile(database, username, options) {
+  const user = await database.getUserByUsername(username);
+  if (!user) {
+    console.log(`⚠️  数据库中没有用户 @${username}`);
+    return;
+  }
+
+  console.log(`\n👤 @${user.username}${user.name ? ` (${user.name})` : ''}`);
+  if (user.bio) console.log(`   ${user.bio.replace(/\s*\n\s*/g, ' ')}`);
+
+  const changes = await database.getProfileHistory(username, options.field || null);
+  console.log(`\n🕘 资料变更 ${changes.length} 条:`);
+
+  for (const change of changes) {
+    const time = change.observed_at ? change.observed_at.toISOString().slice(0, 16).replace('T', ' ') : '-';
+    const oldValue = change.old_value === null ? '(空)' : JSON.stringify(change.old_value);
+    const newValue = change.new_value === null ? '(空)' : JSON.stringify(change.new_value);
+    console.log(`  ${time}  ${change.field}: ${oldValue} → ${newValue}`);
+  }
+}
+
+// 关注/取关变化
+async function showFollows(database, username, options) {
+  const type = options.type || 'following';
+  const until = options.until ? parseDate(options.until, 'until') : new Date();
+  const since = options.since
+    ? parseDate(options.since, 'since')
+    : new Date(until.getTime() - parseInt(options.days || '7') * 24 * 60 * 60 * 1000);
+
+  const { added, removed } = await database.getRelationChanges(username, type, since, until);
+  const label = type === 'following' ? '关注' : '被关注';
+
+  console.log(`\n📅 @${username} ${label}变化 (${since.toISOString()} ~ ${until.toISOString()})`);
+
+  console.log(`\n➕ 新增 ${added.length} 个:`);
+  added.forEach(row => console.log(formatRelation(row, 'first_seen_at')));
+
+  console.log(`\n➖ 移除 ${removed.length} 个:`);
+  removed.forEach(row => console.log(formatRelation(row, 'removed_at')));
+}
+
+// 某一时刻的关系
+async function showGraph(database, username, options) {
+  const type = options.type || 'following';
+  const at = options.at ? parseDate(options.at, 'at') : new Date();
+
+  const relations = await database.getRelationsAsOf(username, type, at);
+  const label = type === 'following' ? '关注' : '被关注';
+
+  console.log(`\n🕸️  @${username} 在 ${at.toISOString()} 的${label}列表 (${relations.length} 个):`);
+  relations.forEach(row => console.log(formatRelation(row, 'first_seen_at')));
+}
+
+// 疑似删除的推文
+async function showDeleted(database, username) {
+  const posts = await database.getSuspectedDeletedPosts(username);
+
+  console.log(`\n🕳️  @${username} 疑似删除的推文 (${posts.length} 条):`);
+  for (const post of posts) {
+    const detectedAt = post.suspected_deleted_at.toISOString().slice(0, 16).replace('T', ' ');
+    const publishedAt = post.published_at ? post.published_at.toISOString().slice(0, 16).replace('T', ' ') : '-';
+    const text = String(post.text || '').replace(/\s*\n\s*/g, ' ').slice(0, 80);
+    console.log(`  ${detectedAt}  ${post.tweet_id} (发布于 ${publishedAt}, 连续缺席 ${post.missing_count} 次)`);
+    console.log(`    ${text}`);
+  }
+}
+
+// 推文编辑历史
+async function showRevisions(database, tweetId) {
+  const revisions = (await database.getPostRevisions([tweetId])).get(tweetId);
+  if (!revisions) {
+    console.log(`⚠️  数据库中没有推文 ${tweetId}`);
+    return;
+  }
+
+  console.log(`\n✏️  推文 ${tweetId} 共 ${revisions.length} 个版本:`);
+  revisions.forEach((revision, index) => {
+    const time = revision.observed_at ? revision.observed_at.toISOString().slice(0, 16).replace('T', ' ') : '-';
+    console.log(`\n  v${index + 1}  ${time}`);
+    String(revision.text || '').split('\n').forEach(line => console.log(`    ${line}`));
+  });
+}
+
+// 隔离的导出行
+async function showQuarantine(database, username, options) {
+  const rows = await database.getQuarantinedRows({
+    username,
+    type: options.task || null,
+    limit: parseInt(options.limit || '20')
+  });
+
+  console.log(`\n🚧 @${username} 隔离的导出行 (最近 ${rows.length} 条):`);
+  for (const row of rows) {
+    const time = row.quarantined_at ? row.quarantined_at.toISOString().slice(0, 16).replace('T', ' ') : '-';
+    console.log(`  ${time}  ${row.task_type} 第 ${row.row_index + 1} 行: ${row.reasons}`);
+    console.log(`    ${JSON.stringify(row.raw_data).slice(0, 160)}`);
+  }
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const [command, rawUsername] = options._;
+
+  if (options.help || !command) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const username = (rawUsername || '').replace(/^@/, '');
+  if (!username) {
+    console.error(command === 'revisions' ? '❌ 请指定推文ID' : '❌ 请指定用户名');
+    process.exit(1);
+  }
+
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+
+    if (command === 'profile') {
+      await showProfile(database, username, options);
+    } else if (command === 'follows') {
+      await showFollows(database, username, options);
+    } else if (command === 'graph') {
+      await showGraph(database, username, options);
+    } else if (command === 'deleted') {
+      await showDeleted(database, username);
+    } else if (command === 'revisions') {
+      await showRevisions(database, username);
+    } else if (command === 'quarantine') {
+      await showQuarantine(database, username, options);
+    } else {
+      console.error(`❌ 未知命令: ${command}`);
+      showHelp();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ 查询失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
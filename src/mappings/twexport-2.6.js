@@ -0,0 +1,32 @@
+/**
+ * TwExport 2.6 推文导出 (posts/replies)
+ * CSV 使用表头，JSON 使用字段名，两者都列出
+ */
+
+export default {
+  id: 'twexport-2.6',
+  extension: 'TwExport',
+  version: '2.6',
+  model: 'post',
+  columns: {
+    tweet_id: ['ID', 'id'],
+    text: ['Text', 'text'],
+    language: ['Language', 'language'],
+    type: ['Type', 'type'],
+    view_count: ['View Count', 'view_count'],
+    reply_count: ['Reply Count', 'reply_count'],
+    retweet_count: ['Retweet Count', 'retweet_count'],
+    quote_count: ['Quote Count', 'quote_count'],
+    favorite_count: ['Favorite Count', 'favorite_count'],
+    bookmark_count: ['Bookmark Count', 'bookmark_count'],
+    published_at: ['Created At', 'created_at'],
+    tweet_url: ['Tweet URL', 'tweet_url'],
+    source: ['Source', 'source'],
+    hashtags: 'hashtags',
+    urls: 'urls',
+    media_type: 'media_type',
+    media_urls: 'media_urls',
+    author_username: ['Author Username', 'author_username'],
+    author_name: ['Author Name', 'author_name']
+  }
+};
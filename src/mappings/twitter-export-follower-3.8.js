@@ -0,0 +1,26 @@
+/**
+ * Twitter Export Follower 3.8 用户导出 (followers/following)
+ * CSV 使用表头，JSON 使用字段名，两者都列出 (Created At 是账号注册时间，不入库)
+ */
+
+export default {
+  id: 'twitter-export-follower-3.8',
+  extension: 'Twitter Export Follower',
+  version: '3.8',
+  model: 'user',
+  columns: {
+    user_id: ['User ID', 'user_id'],
+    username: ['Username', 'user_name'],
+    name: ['Name', 'name'],
+    bio: ['Bio', 'bio'],
+    location: ['Location', 'location'],
+    website: ['Website', 'website'],
+    verified: ['Verified', 'verified'],
+    is_blue_verified: ['Is Blue Verified', 'is_blue_verified'],
+    followers_count: ['Followers Count', 'followers_count'],
+    following_count: ['Following Count', 'following_count'],
+    tweets_count: ['Tweets Count', 'tweets_count'],
+    avatar_url: ['Avatar URL', 'avatar_url'],
+    banner_url: ['Profile Banner URL', 'profile_banner_url']
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * 001 初始表结构
+ * 采集任务、用户、推文以及两代关注关系表
+ * 使用 IF NOT EXISTS，已有手工建表的数据库可以直接纳入迁移管理
+ */
+
+export async function up(db) {
+  const { id, datetime, createdAt, updatedAt, tableOptions } = db.types;
+
+  // 采集任务 (一个用户可以有多个 task_type)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scrape_tasks (
+      id ${id},
+      username VARCHAR(64) NOT NULL,
+      task_type VARCHAR(20) NOT NULL,
+      max_count INT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      error_message TEXT NULL,
+      last_run_at ${datetime} NULL,
+      next_run_at ${datetime} NULL,
+      frequency_group VARCHAR(20) NULL,
+      avg_posts_per_day DECIMAL(10,2) NULL,
+      last_post_count INT NOT NULL DEFAULT 0,
+      next_run_time ${datetime} NULL,
+      created_at ${createdAt},
+      updated_at ${updatedAt},
+      CONSTRAINT uk_username_task_type UNIQUE (username, task_type)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('scrape_tasks', 'idx_schedule', ['enabled', 'status', 'next_run_time']);
+  await db.createIndex('scrape_tasks', 'idx_frequency_group', ['frequency_group']);
+
+  // Twitter 用户 (被采集用户 + Following 导入的用户)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_users (
+      id ${id},
+      username VARCHAR(64) NOT NULL,
+      user_id VARCHAR(32) NULL,
+      name VARCHAR(255) NULL,
+      bio TEXT NULL,
+      location VARCHAR(255) NULL,
+      website VARCHAR(512) NULL,
+      verified BOOLEAN NOT NULL DEFAULT FALSE,
+      is_blue_verified BOOLEAN NOT NULL DEFAULT FALSE,
+      followers_count INT NOT NULL DEFAULT 0,
+      following_count INT NOT NULL DEFAULT 0,
+      tweets_count INT NOT NULL DEFAULT 0,
+      avatar_url VARCHAR(1024) NULL,
+      banner_url VARCHAR(1024) NULL,
+      created_at ${createdAt},
+      updated_at ${updatedAt},
+      CONSTRAINT uk_username UNIQUE (username)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('twitter_users', 'idx_user_id', ['user_id']);
+
+  // 推文 / 回复
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_posts (
+      id ${id},
+      tweet_id VARCHAR(32) NOT NULL,
+      user_id BIGINT NOT NULL,
+      text TEXT NULL,
+      language VARCHAR(16) NULL,
+      type VARCHAR(20) NULL,
+      view_count BIGINT NOT NULL DEFAULT 0,
+      reply_count INT NOT NULL DEFAULT 0,
+      retweet_count INT NOT NULL DEFAULT 0,
+      quote_count INT NOT NULL DEFAULT 0,
+      favorite_count INT NOT NULL DEFAULT 0,
+      bookmark_count INT NOT NULL DEFAULT 0,
+      published_at ${datetime} NULL,
+      tweet_url VARCHAR(512) NULL,
+      source VARCHAR(255) NULL,
+      hashtags TEXT NULL,
+      urls TEXT NULL,
+      media_type VARCHAR(64) NULL,
+      media_urls TEXT NULL,
+      created_at ${createdAt},
+      updated_at ${updatedAt},
+      CONSTRAINT uk_tweet_id UNIQUE (tweet_id)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('twitter_posts', 'idx_user_published', ['user_id', 'published_at']);
+
+  // 旧版关注关系 (Followers 仍在使用)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_followers (
+      id ${id},
+      user_id BIGINT NOT NULL,
+      follower_user_id VARCHAR(32) NOT NULL,
+      follower_username VARCHAR(64) NULL,
+      follower_name VARCHAR(255) NULL,
+      follower_bio TEXT NULL,
+      follower_verified BOOLEAN NOT NULL DEFAULT FALSE,
+      follower_followers_count INT NOT NULL DEFAULT 0,
+      follower_avatar_url VARCHAR(1024) NULL,
+      relation_type VARCHAR(20) NOT NULL,
+      created_at ${createdAt},
+      updated_at ${updatedAt},
+      CONSTRAINT uk_relation UNIQUE (user_id, follower_user_id, relation_type)
+    ) ${tableOptions}
+  `);
+
+  // 新版关注关系 (Following，引用 twitter_users 内部 ID)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_followings (
+      source_user_id BIGINT NOT NULL,
+      target_user_id BIGINT NOT NULL,
+      created_at ${createdAt},
+      PRIMARY KEY (source_user_id, target_user_id)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('twitter_followings', 'idx_target_user', ['target_user_id']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS twitter_followings');
+  await db.query('DROP TABLE IF EXISTS twitter_followers');
+  await db.query('DROP TABLE IF EXISTS twitter_posts');
+  await db.query('DROP TABLE IF EXISTS twitter_users');
+  await db.query('DROP TABLE IF EXISTS scrape_tasks');
+}
@@ -0,0 +1,29 @@
+/**
+ * 002 回复关系字段
+ * twitter_posts 增加 in_reply_to_tweet_id / conversation_id (replies 上下文解析使用)
+ * 线上库可能已手工加过这两列，因此先检查再添加
+ */
+
+export async function up(db) {
+  if (!(await db.hasColumn('twitter_posts', 'in_reply_to_tweet_id'))) {
+    await db.query('ALTER TABLE twitter_posts ADD COLUMN in_reply_to_tweet_id VARCHAR(32) NULL');
+  }
+
+  if (!(await db.hasColumn('twitter_posts', 'conversation_id'))) {
+    await db.query('ALTER TABLE twitter_posts ADD COLUMN conversation_id VARCHAR(32) NULL');
+  }
+
+  await db.createIndex('twitter_posts', 'idx_conversation', ['conversation_id']);
+}
+
+export async function down(db) {
+  await db.dropIndex('twitter_posts', 'idx_conversation');
+
+  if (await db.hasColumn('twitter_posts', 'conversation_id')) {
+    await db.query('ALTER TABLE twitter_posts DROP COLUMN conversation_id');
+  }
+
+  if (await db.hasColumn('twitter_posts', 'in_reply_to_tweet_id')) {
+    await db.query('ALTER TABLE twitter_posts DROP COLUMN in_reply_to_tweet_id');
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * 003 推文互动数据快照
+ * twitter_posts 只保存最新的互动数，每次采集数值变化时在此追加一条快照
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_post_metrics (
+      id ${id},
+      tweet_id VARCHAR(32) NOT NULL,
+      view_count BIGINT NOT NULL DEFAULT 0,
+      reply_count INT NOT NULL DEFAULT 0,
+      retweet_count INT NOT NULL DEFAULT 0,
+      quote_count INT NOT NULL DEFAULT 0,
+      favorite_count INT NOT NULL DEFAULT 0,
+      bookmark_count INT NOT NULL DEFAULT 0,
+      collected_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('twitter_post_metrics', 'idx_post_metrics_tweet', ['tweet_id', 'collected_at']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS twitter_post_metrics');
+}
@@ -0,0 +1,45 @@
+/**
+ * 004 关注关系时间线
+ * twitter_followings / twitter_followers 增加 first_seen_at / last_seen_at / removed_at
+ * 已有关系以 created_at (twitter_followers 的 last_seen_at 取 updated_at) 回填
+ */
+
+const RELATION_TABLES = [
+  { table: 'twitter_followings', index: 'idx_followings_source_seen', owner: ['source_user_id'], lastSeenFrom: 'created_at' },
+  { table: 'twitter_followers', index: 'idx_followers_seen', owner: ['user_id', 'relation_type'], lastSeenFrom: 'updated_at' }
+];
+
+const TIME_COLUMNS = ['first_seen_at', 'last_seen_at', 'removed_at'];
+
+export async function up(db) {
+  const { datetime } = db.types;
+
+  for (const { table, index, owner, lastSeenFrom } of RELATION_TABLES) {
+    for (const column of TIME_COLUMNS) {
+      if (!(await db.hasColumn(table, column))) {
+        await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${datetime} NULL`);
+      }
+    }
+
+    await db.query(
+      `UPDATE ${table}
+       SET first_seen_at = COALESCE(created_at, CURRENT_TIMESTAMP),
+           last_seen_at = COALESCE(${lastSeenFrom}, created_at, CURRENT_TIMESTAMP)
+       WHERE first_seen_at IS NULL`
+    );
+
+    await db.createIndex(table, index, [...owner, 'removed_at', 'last_seen_at']);
+  }
+}
+
+export async function down(db) {
+  for (const { table, index } of RELATION_TABLES) {
+    await db.dropIndex(table, index);
+
+    for (const column of [...TIME_COLUMNS].reverse()) {
+      if (await db.hasColumn(table, column)) {
+        await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+}
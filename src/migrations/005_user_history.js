@@ -0,0 +1,24 @@
+/**
+ * 005 用户资料变更历史
+ * twitter_users 原地覆盖资料，每个字段的变化在此追加一条记录
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS twitter_user_history (
+      id ${id},
+      user_id BIGINT NOT NULL,
+      field VARCHAR(32) NOT NULL,
+      old_value TEXT NULL,
+      new_value TEXT NULL,
+      observed_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('twitter_user_history', 'idx_user_history_user', ['user_id', 'observed_at']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS twitter_user_history');
+}
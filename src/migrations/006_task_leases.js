@@ -0,0 +1,31 @@
+/**
+ * 006 任务租约
+ * scrape_tasks 增加 leased_by / lease_expires_at / heartbeat_at
+ * 多个 runner 共用一张任务表时，通过租约原子领取任务，避免重复采集
+ */
+
+const LEASE_COLUMNS = [
+  { name: 'leased_by', type: 'VARCHAR(128) NULL' },
+  { name: 'lease_expires_at', type: null },
+  { name: 'heartbeat_at', type: null }
+];
+
+export async function up(db) {
+  for (const { name, type } of LEASE_COLUMNS) {
+    if (!(await db.hasColumn('scrape_tasks', name))) {
+      await db.query(`ALTER TABLE scrape_tasks ADD COLUMN ${name} ${type || `${db.types.datetime} NULL`}`);
+    }
+  }
+
+  await db.createIndex('scrape_tasks', 'idx_task_lease', ['leased_by', 'lease_expires_at']);
+}
+
+export async function down(db) {
+  await db.dropIndex('scrape_tasks', 'idx_task_lease');
+
+  for (const { name } of [...LEASE_COLUMNS].reverse()) {
+    if (await db.hasColumn('scrape_tasks', name)) {
+      await db.query(`ALTER TABLE scrape_tasks DROP COLUMN ${name}`);
+    }
+  }
+}
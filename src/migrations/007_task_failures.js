@@ -0,0 +1,25 @@
+/**
+ * 007 任务失败退避
+ * scrape_tasks 增加 failure_count (连续失败次数) / error_category (最近一次失败分类)
+ * 失败后按 failure_count 指数退避 next_run_time，分类见 modules/TaskErrors.js
+ */
+
+export async function up(db) {
+  if (!(await db.hasColumn('scrape_tasks', 'failure_count'))) {
+    await db.query('ALTER TABLE scrape_tasks ADD COLUMN failure_count INT NOT NULL DEFAULT 0');
+  }
+
+  if (!(await db.hasColumn('scrape_tasks', 'error_category'))) {
+    await db.query('ALTER TABLE scrape_tasks ADD COLUMN error_category VARCHAR(32) NULL');
+  }
+}
+
+export async function down(db) {
+  if (await db.hasColumn('scrape_tasks', 'error_category')) {
+    await db.query('ALTER TABLE scrape_tasks DROP COLUMN error_category');
+  }
+
+  if (await db.hasColumn('scrape_tasks', 'failure_count')) {
+    await db.query('ALTER TABLE scrape_tasks DROP COLUMN failure_count');
+  }
+}
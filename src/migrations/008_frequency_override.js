@@ -0,0 +1,16 @@
+/**
+ * 008 手动指定频率分组
+ * scrape_tasks 增加 frequency_override，非空时 updateUserFrequency 不再按发帖速率重新分组
+ */
+
+export async function up(db) {
+  if (!(await db.hasColumn('scrape_tasks', 'frequency_override'))) {
+    await db.query('ALTER TABLE scrape_tasks ADD COLUMN frequency_override VARCHAR(20) NULL');
+  }
+}
+
+export async function down(db) {
+  if (await db.hasColumn('scrape_tasks', 'frequency_override')) {
+    await db.query('ALTER TABLE scrape_tasks DROP COLUMN frequency_override');
+  }
+}
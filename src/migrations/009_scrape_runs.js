@@ -0,0 +1,53 @@
+/**
+ * 009 批量运行记录
+ * scrape_runs 记录每次 npm run batch，scrape_run_tasks 记录其中每个任务的结果
+ * 取代每次运行都会被覆盖的 output/batch-report.json
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scrape_runs (
+      id ${id},
+      worker_id VARCHAR(128) NULL,
+      frequency_group VARCHAR(20) NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'database',
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      started_at ${datetime} NOT NULL,
+      finished_at ${datetime} NULL,
+      total_tasks INT NOT NULL DEFAULT 0,
+      success_count INT NOT NULL DEFAULT 0,
+      error_count INT NOT NULL DEFAULT 0,
+      new_data_count INT NOT NULL DEFAULT 0,
+      removed_data_count INT NOT NULL DEFAULT 0,
+      global_error TEXT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('scrape_runs', 'idx_runs_started', ['started_at']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scrape_run_tasks (
+      id ${id},
+      run_id BIGINT NOT NULL,
+      task_id BIGINT NULL,
+      username VARCHAR(64) NOT NULL,
+      task_type VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      data_count INT NOT NULL DEFAULT 0,
+      new_data_count INT NOT NULL DEFAULT 0,
+      removed_data_count INT NOT NULL DEFAULT 0,
+      error_category VARCHAR(32) NULL,
+      error_message TEXT NULL,
+      started_at ${datetime} NOT NULL,
+      duration_ms INT NOT NULL DEFAULT 0
+    ) ${tableOptions}
+  `);
+  await db.createIndex('scrape_run_tasks', 'idx_run_tasks_run', ['run_id']);
+  await db.createIndex('scrape_run_tasks', 'idx_run_tasks_user', ['username', 'started_at']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS scrape_run_tasks');
+  await db.query('DROP TABLE IF EXISTS scrape_runs');
+}
@@ -0,0 +1,45 @@
+/**
+ * 010 推文实体表
+ * 从 twitter_posts 的 hashtags/urls/media_urls 以及正文 @提及 拆分出的规范化表，按 tweet_id 关联
+ * 已有数据使用 npm run backfill -- entities 回填
+ */
+
+export async function up(db) {
+  const { id, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS post_hashtags (
+      tweet_id VARCHAR(32) NOT NULL,
+      tag VARCHAR(140) NOT NULL,
+      PRIMARY KEY (tweet_id, tag)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('post_hashtags', 'idx_post_hashtags_tag', ['tag']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS post_urls (
+      id ${id},
+      tweet_id VARCHAR(32) NOT NULL,
+      kind VARCHAR(10) NOT NULL,
+      url TEXT NOT NULL,
+      domain VARCHAR(255) NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('post_urls', 'idx_post_urls_tweet', ['tweet_id']);
+  await db.createIndex('post_urls', 'idx_post_urls_domain', ['domain']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS post_mentions (
+      tweet_id VARCHAR(32) NOT NULL,
+      username VARCHAR(64) NOT NULL,
+      PRIMARY KEY (tweet_id, username)
+    ) ${tableOptions}
+  `);
+  await db.createIndex('post_mentions', 'idx_post_mentions_username', ['username']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS post_mentions');
+  await db.query('DROP TABLE IF EXISTS post_urls');
+  await db.query('DROP TABLE IF EXISTS post_hashtags');
+}
@@ -0,0 +1,44 @@
+/**
+ * 011 媒体归档
+ * media_files 按内容 (sha256) 记录已归档的文件，media_archive 记录每个远程链接的归档状态
+ * 同一文件被多个链接引用时只存储一份
+ */
+
+export async function up(db) {
+  const { id, datetime, createdAt, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS media_files (
+      sha256 CHAR(64) NOT NULL PRIMARY KEY,
+      size BIGINT NOT NULL,
+      mime_type VARCHAR(100) NULL,
+      storage VARCHAR(10) NOT NULL,
+      storage_key VARCHAR(255) NOT NULL,
+      created_at ${createdAt}
+    ) ${tableOptions}
+  `);
+
+  // url 为 TEXT 无法建唯一索引，使用 url_hash (url 的 sha256) 去重
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS media_archive (
+      id ${id},
+      url_hash CHAR(64) NOT NULL UNIQUE,
+      url TEXT NOT NULL,
+      kind VARCHAR(10) NOT NULL,
+      owner_id VARCHAR(64) NULL,
+      sha256 CHAR(64) NULL,
+      status VARCHAR(10) NOT NULL,
+      attempts INT NOT NULL DEFAULT 0,
+      error_message TEXT NULL,
+      archived_at ${datetime} NULL,
+      updated_at ${datetime} NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('media_archive', 'idx_media_archive_owner', ['kind', 'owner_id']);
+  await db.createIndex('media_archive', 'idx_media_archive_sha256', ['sha256']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS media_archive');
+  await db.query('DROP TABLE IF EXISTS media_files');
+}
@@ -0,0 +1,18 @@
+/**
+ * 012 回复关系可信度
+ * twitter_posts 增加 thread_confidence，记录 in_reply_to_tweet_id 的来源:
+ * explicit (数据源直接提供) / inferred (@提及、作者和时间吻合) / guessed (仅按导出顺序推测)
+ * 旧数据为 NULL，可用 npm run backfill -- threads 重新解析
+ */
+
+export async function up(db) {
+  if (!(await db.hasColumn('twitter_posts', 'thread_confidence'))) {
+    await db.query('ALTER TABLE twitter_posts ADD COLUMN thread_confidence VARCHAR(10) NULL');
+  }
+}
+
+export async function down(db) {
+  if (await db.hasColumn('twitter_posts', 'thread_confidence')) {
+    await db.query('ALTER TABLE twitter_posts DROP COLUMN thread_confidence');
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * 013 疑似删除的推文
+ * twitter_posts 增加 missing_count (在覆盖其发布时间的 posts 采集中连续缺席的次数)
+ * 和 suspected_deleted_at (缺席次数达到阈值的时间)，推文再次出现时两者清零
+ */
+
+export async function up(db) {
+  const { datetime } = db.types;
+
+  if (!(await db.hasColumn('twitter_posts', 'missing_count'))) {
+    await db.query('ALTER TABLE twitter_posts ADD COLUMN missing_count INT NOT NULL DEFAULT 0');
+  }
+
+  if (!(await db.hasColumn('twitter_posts', 'suspected_deleted_at'))) {
+    await db.query(`ALTER TABLE twitter_posts ADD COLUMN suspected_deleted_at ${datetime} NULL`);
+  }
+}
+
+export async function down(db) {
+  if (await db.hasColumn('twitter_posts', 'suspected_deleted_at')) {
+    await db.query('ALTER TABLE twitter_posts DROP COLUMN suspected_deleted_at');
+  }
+
+  if (await db.hasColumn('twitter_posts', 'missing_count')) {
+    await db.query('ALTER TABLE twitter_posts DROP COLUMN missing_count');
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * 014 推文编辑历史
+ * twitter_posts.text 原地覆盖为最新内容，每次观察到正文变化在此追加一条记录
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS post_revisions (
+      id ${id},
+      tweet_id VARCHAR(32) NOT NULL,
+      old_text TEXT NULL,
+      new_text TEXT NULL,
+      observed_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('post_revisions', 'idx_post_revisions_tweet', ['tweet_id', 'observed_at']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS post_revisions');
+}
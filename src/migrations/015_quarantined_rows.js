@@ -0,0 +1,25 @@
+/**
+ * 015 隔离的导出数据
+ * 未通过 RowValidator 校验的行不入库，原始内容 (JSON) 和原因记录在此，便于排查插件导出格式变化
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS quarantined_rows (
+      id ${id},
+      username VARCHAR(64) NOT NULL,
+      task_type VARCHAR(20) NOT NULL,
+      row_index INT NOT NULL,
+      reasons TEXT NOT NULL,
+      raw_data TEXT NOT NULL,
+      quarantined_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('quarantined_rows', 'idx_quarantined_rows_user', ['username', 'quarantined_at']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS quarantined_rows');
+}
@@ -0,0 +1,39 @@
+/**
+ * 016 关注关系区间历史
+ * twitter_followings / twitter_followers 每条关系只保存最近一次关注区间 (first_seen_at ~ removed_at)，
+ * 取关后重新关注时，之前已结束的区间先复制到这里，还原历史时间点的关系时两处一起查询
+ */
+
+export async function up(db) {
+  const { id, datetime, tableOptions } = db.types;
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS following_intervals (
+      id ${id},
+      source_user_id BIGINT NOT NULL,
+      target_user_id BIGINT NOT NULL,
+      first_seen_at ${datetime} NULL,
+      last_seen_at ${datetime} NULL,
+      removed_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('following_intervals', 'idx_following_intervals_source', ['source_user_id', 'target_user_id']);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS follower_intervals (
+      id ${id},
+      user_id BIGINT NOT NULL,
+      follower_user_id VARCHAR(32) NOT NULL,
+      relation_type VARCHAR(20) NOT NULL,
+      first_seen_at ${datetime} NULL,
+      last_seen_at ${datetime} NULL,
+      removed_at ${datetime} NOT NULL
+    ) ${tableOptions}
+  `);
+  await db.createIndex('follower_intervals', 'idx_follower_intervals_user', ['user_id', 'relation_type', 'follower_user_id']);
+}
+
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS follower_intervals');
+  await db.query('DROP TABLE IF EXISTS following_intervals');
+}
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import http from 'http';
+import { FREQUENCY_GROUP_HOURS, TASK_TYPES } from './DatabaseManager.js';
+
+/**
+ * 只读 REST API - 通过 HTTP 提供已采集的数据，看板和 notebook 无需数据库账号即可读取
+ *
+ * - /api 下的接口需要 Authorization: Bearer <token> (config.api.token)，只接受 GET/HEAD
+ * - 响应为 JSON 并带 ETag，请求带 If-None-Match 且内容未变时返回 304
+ * - 列表接口使用游标分页: 把响应中的 next_cursor 作为下一次请求的 ?cursor=，为 null 时已到末页
+ *
+ * 接口:
+ *   GET /health
+ *   GET /api/users                       ?username=a,b&since=&until=&min_followers=
+ *   GET /api/users/:username
+ *   GET /api/users/:username/posts       ?since=&until=&type=&hashtag=&domain=&mention=&min_engagement=
+ *                                        &suspected_deleted=true&text=latest|revisions&order=desc|asc
+ *   GET /api/users/:username/following   ?since=&until=&min_followers=&include_removed=true
+ *   GET /api/users/:username/followers   (同 following)
+ *   GET /api/users/:username/runs        ?limit=
+ *   GET /api/tasks                       ?username=&type=&enabled=&frequency_group=&status=
+ *   GET /api/runs                        ?limit=
+ *   GET /api/runs/:id
+ * 分页接口另外支持 ?limit=&cursor=；since/until 的含义与 npm run export 相同
+ */
+
+// 路由表: 按顺序匹配路径，捕获组依次作为处理函数的参数
+const ROUTES = [
+  { pattern: /^\/health$/, handler: 'health', public: true },
+  { pattern: /^\/api\/users$/, handler: 'listUsers' },
+  { pattern: /^\/api\/users\/([^/]+)$/, handler: 'getUser' },
+  { pattern: /^\/api\/users\/([^/]+)\/posts$/, handler: 'listPosts' },
+  { pattern: /^\/api\/users\/([^/]+)\/(following|followers)$/, handler: 'listRelations' },
+  { pattern: /^\/api\/users\/([^/]+)\/runs$/, handler: 'listUserRuns' },
+  { pattern: /^\/api\/tasks$/, handler: 'listTasks' },
+  { pattern: /^\/api\/runs$/, handler: 'listRuns' },
+  { pattern: /^\/api\/runs\/(\d+)$/, handler: 'getRun' }
+];
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息 (返回给客户端)
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export class ApiServer {
+  /**
+   * @param {Object} config - config.api: { host, port, token, defaultPageSize, maxPageSize, noAuth }
+   * @param {DatabaseManager} database - 已初始化的 DatabaseManager
+   */
+  constructor(config = {}, database) {
+    this.config = config;
+    this.database = database;
+    this.server = null;
+  }
+
+  /**
+   * 启动 HTTP 服务
+   * @returns {Promise<Object>} 实际监听的地址 { address, port }
+   */
+  async start(port = this.config.port ?? 3000, host = this.config.host || '127.0.0.1') {
+    if (!this.config.token && !this.config.noAuth) {
+      throw new Error('未配置 API_TOKEN (本地调试可使用 --no-auth 关闭认证)');
+    }
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    return this.server.address();
+  }
+
+  /**
+   * 停止 HTTP 服务 (等待进行中的请求完成)
+   */
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * 处理单个请求
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw httpError(405, '只读接口，只支持 GET/HEAD');
+      }
+
+      const route = ROUTES.find(r => r.pattern.test(url.pathname));
+      if (!route) {
+        throw httpError(404, `未知接口: ${url.pathname}`);
+      }
+
+      if (!route.public) {
+        this.authenticate(req, res);
+      }
+
+      const params = url.pathname.match(route.pattern).slice(1).map(value => {
+        try {
+          return decodeURIComponent(value);
+        } catch (error) {
+          throw httpError(400, `无效的路径参数: ${value}`);
+        }
+      });
+
+      const body = await this[route.handler](url.searchParams, ...params);
+      this.send(req, res, 200, body);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        console.error(`❌ ${req.method} ${url.pathname} 失败: ${error.message}`);
+      }
+      this.send(req, res, status, { error: status >= 500 ? '服务器内部错误' : error.message });
+    }
+  }
+
+  /**
+   * 校验 Bearer token (比较摘要，避免按字节比较泄露 token 长度和内容)
+   */
+  authenticate(req, res) {
+    if (this.config.noAuth) return;
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+
+    if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), digest(this.config.token))) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, '缺少或无效的 token (Authorization: Bearer <token>)');
+    }
+  }
+
+  /**
+   * 输出 JSON 响应，200 响应带 ETag，If-None-Match 命中时返回 304
+   */
+  send(req, res, status, body) {
+    const payload = JSON.stringify(body);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (status === 200) {
+      const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+      res.setHeader('ETag', etag);
+
+      const ifNoneMatch = req.headers['if-none-match'];
+      if (ifNoneMatch && ifNoneMatch.split(',').some(tag => [etag, `W/${etag}`, '*'].includes(tag.trim()))) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+    }
+
+    res.writeHead(status, { 'Content-Length': Buffer.byteLength(payload) });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+  }
+
+  // ========== 参数解析 ==========
+
+  parseDate(query, name) {
+    const value = query.get(name);
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw httpError(400, `无效的日期 ${name}=${value}`);
+    }
+    return date;
+  }
+
+  parseInteger(query, name) {
+    const value = query.get(name);
+    if (!value) return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw httpError(400, `无效的数值 ${name}=${value}`);
+    }
+    return number;
+  }
+
+  parseBoolean(query, name) {
+    return ['true', '1'].includes(query.get(name));
+  }
+
+  parseChoice(query, name, choices, defaultValue = null) {
+    const value = query.get(name);
+    if (!value) return defaultValue;
+
+    if (!choices.includes(value)) {
+      throw httpError(400, `无效的 ${name}=${value} (可选: ${choices.join(', ')})`);
+    }
+    return value;
+  }
+
+  /**
+   * 每页数量: 默认 defaultPageSize，不超过 maxPageSize
+   */
+  parseLimit(query) {
+    const limit = this.parseInteger(query, 'limit') ?? this.config.defaultPageSize ?? 100;
+    return Math.max(1, Math.min(limit, this.config.maxPageSize ?? 1000));
+  }
+
+  normalizeUsername(username) {
+    return username.trim().replace(/^@/, '');
+  }
+
+  // 游标: 上一页最后一行的主键 (getExportPage 的 nextKey)，编码为 base64url JSON
+  encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+  }
+
+  /**
+   * 解析游标: 必须是 encodeCursor 生成的主键数组 (长度与数据集的主键列数一致，元素为有限数值或字符串)
+   */
+  decodeCursor(query, keyCount) {
+    const cursor = query.get('cursor');
+    if (!cursor) return null;
+
+    const isKeyValue = value => (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'string';
+
+    try {
+      const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (Array.isArray(key) && key.length === keyCount && key.every(isKeyValue)) return key;
+    } catch (error) {
+      // 落到下面统一报错
+    }
+    throw httpError(400, `无效的 cursor: ${cursor}`);
+  }
+
+  /**
+   * 按游标读取一页 (数据来自 DatabaseManager.getExportPage，字段与 npm run export 一致)
+   */
+  async page(dataset, filters, query, descending = false) {
+    const { keys } = this.database.buildExportQuery(dataset, filters);
+    const { items, nextKey } = await this.database.getExportPage(dataset, filters, {
+      pageSize: this.parseLimit(query),
+      after: this.decodeCursor(query, keys.length),
+      descending
+    });
+
+    return {
+      data: items,
+      next_cursor: nextKey ? this.encodeCursor(nextKey) : null
+    };
+  }
+
+  /**
+   * 确认用户已采集，否则返回 404
+   */
+  async requireUser(username) {
+    const userId = await this.database.getUserIdByUsername(username);
+    if (!userId) {
+      throw httpError(404, `用户不存在: @${username}`);
+    }
+    return userId;
+  }
+
+  // ========== 接口 ==========
+
+  async health() {
+    return { status: 'ok' };
+  }
+
+  async listUsers(query) {
+    const usernames = (query.get('username') || '')
+      .split(',')
+      .map(username => this.normalizeUsername(username))
+      .filter(Boolean);
+
+    return await this.page('users', {
+      usernames: usernames.length > 0 ? usernames : null,
+      since: this.parseDate(query, 'since'),
+      until: this.parseDate(query, 'until'),
+      minEngagement: this.parseInteger(query, 'min_followers')
+    }, query);
+  }
+
+  async getUser(query, username) {
+    username = this.normalizeUsername(username);
+
+    const { items } = await this.database.getExportPage('users', { usernames: [username] }, { pageSize: 1 });
+    if (items.length === 0) {
+      throw httpError(404, `用户不存在: @${username}`);
+    }
+    return { data: items[0] };
+  }
+
+  async listPosts(query, username) {
+    username = this.normalizeUsername(username);
+    await this.requireUser(username);
+
+    const filters = {
+      usernames: [username],
+      since: this.parseDate(query, 'since'),
+      until: this.parseDate(query, 'until'),
+      type: query.get('type') || null,
+      minEngagement: this.parseInteger(query, 'min_engagement'),
+      hashtag: query.get('hashtag') || null,
+      domain: query.get('domain') || null,
+      mention: query.get('mention') || null,
+      suspectedDeleted: this.parseBoolean(query, 'suspected_deleted'),
+      revisions: this.parseChoice(query, 'text', ['latest', 'revisions'], 'latest') === 'revisions'
+    };
+
+    // 默认新的在前
+    const descending = this.parseChoice(query, 'order', ['desc', 'asc'], 'desc') === 'desc';
+    return await this.page('posts', filters, query, descending);
+  }
+
+  async listRelations(query, username, dataset) {
+    username = this.normalizeUsername(username);
+    await this.requireUser(username);
+
+    return await this.page(dataset, {
+      usernames: [username],
+      since: this.parseDate(query, 'since'),
+      until: this.parseDate(query, 'until'),
+      minEngagement: this.parseInteger(query, 'min_followers'),
+      includeRemoved: this.parseBoolean(query, 'include_removed')
+    }, query);
+  }
+
+  async listUserRuns(query, username) {
+    username = this.normalizeUsername(username);
+    return { data: await this.database.getUserRunHistory(username, this.parseLimit(query)) };
+  }
+
+  async listTasks(query) {
+    const enabled = query.get('enabled');
+
+    return {
+      data: await this.database.listTasks({
+        username: query.get('username') ? this.normalizeUsername(query.get('username')) : null,
+        taskType: this.parseChoice(query, 'type', TASK_TYPES),
+        enabled: enabled ? this.parseBoolean(query, 'enabled') : null,
+        frequencyGroup: this.parseChoice(query, 'frequency_group', Object.keys(FREQUENCY_GROUP_HOURS)),
+        status: this.parseChoice(query, 'status', ['pending', 'running', 'completed', 'failed'])
+      })
+    };
+  }
+
+  async listRuns(query) {
+    return { data: await this.database.listRuns(this.parseLimit(query)) };
+  }
+
+  async getRun(query, runId) {
+    const result = await this.database.getRun(Number(runId));
+    if (!result) {
+      throw httpError(404, `运行记录不存在: #${runId}`);
+    }
+    return { data: { ...result.run, tasks: result.tasks } };
+  }
+}
+
+export default ApiServer;
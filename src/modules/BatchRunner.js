@@ -1,6 +1,9 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { classifyError } from './TaskErrors.js';
+import { Notifier } from './Notifier.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -15,10 +18,34 @@ export class BatchRunner {
     this.database = database;  // DatabaseManager 实例
     this.results = [];
     this.startTime = null;
+
+    // 任务租约: 多个 runner 共用一张任务表时用 workerId 区分
+    this.workerId = config.batch?.workerId || BatchRunner.defaultWorkerId();
+    this.leaseSeconds = (config.batch?.leaseMinutes || 15) * 60;
+    this.heartbeatTimer = null;
+
+    // 运行记录 (scrape_runs)
+    this.runId = null;
+
+    // 结束后发送 webhook 通知 (config.notify)，notified 记录是否至少送达一个地址
+    this.notifier = new Notifier(config.notify);
+    this.notified = false;
+  }
+
+  /**
+   * 默认 runner 标识: GitHub Actions 下使用 run id，本地使用主机名 + 进程号
+   */
+  static defaultWorkerId() {
+    if (process.env.GITHUB_RUN_ID) {
+      const job = process.env.GITHUB_JOB ? `-${process.env.GITHUB_JOB}` : '';
+      return `gh-${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}${job}`;
+    }
+    return `${os.hostname()}-${process.pid}`;
   }
 
   /**
-   * 从数据库加载任务列表（支持频率分组）
+   * 从数据库领取任务列表（支持频率分组）
+   * 领取到的任务带有本 runner 的租约，其他 runner 在租约过期前不会再领取
    * @param {number} limit - 随机抽取的用户数量
    * @param {string} frequencyGroup - 'high' | 'medium' | 'low' | 'all'
    */
@@ -27,7 +54,7 @@ export class BatchRunner {
       throw new Error('数据库未初始化');
     }
 
-    const tasks = await this.database.getPendingTasksByFrequency(frequencyGroup, limit);
+    const tasks = await this.database.claimTasks(this.workerId, frequencyGroup, limit, this.leaseSeconds);
 
     if (tasks.length === 0) {
       console.log(`⚠️  没有待执行任务 (频率组: ${frequencyGroup})`);
@@ -46,10 +73,133 @@ export class BatchRunner {
 
     // 统计用户数
     const uniqueUsers = new Set(tasks.map(t => t.username)).size;
-    console.log(`📋 加载 ${uniqueUsers} 个用户, ${users.length} 个任务 (频率: ${frequencyGroup})\n`);
+    console.log(`📋 领取 ${uniqueUsers} 个用户, ${users.length} 个任务 (频率: ${frequencyGroup}, runner: ${this.workerId})\n`);
     return users;
   }
 
+  /**
+   * 回收上次运行被强制终止后卡在 running 的任务，让它们重新进入待执行队列
+   */
+  async reapStaleTasks() {
+    if (!this.database) {
+      return;
+    }
+
+    const maxAge = this.config.batch?.staleTaskMinutes || 150;
+
+    try {
+      const reaped = await this.database.reapStaleTasks(maxAge);
+      if (reaped.length > 0) {
+        console.log(`♻️  回收中断任务 ${reaped.length} 个 (running 超过 ${maxAge} 分钟):`);
+        reaped.forEach(task => console.log(`    @${task.username} (${task.task_type})`));
+      }
+
+      await this.database.markInterruptedRuns(maxAge);
+    } catch (error) {
+      console.warn(`⚠️  回收中断任务失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 创建本次运行的记录，失败时不影响采集
+   */
+  async startRunRecord(options) {
+    if (!this.database) {
+      return;
+    }
+
+    try {
+      this.runId = await this.database.createRun({
+        workerId: this.workerId,
+        frequencyGroup: options.userListFile ? null : (options.frequency || 'all'),
+        source: options.userListFile ? 'file' : 'database',
+        startedAt: new Date(this.startTime)
+      });
+      console.log(`🗂️  运行记录 #${this.runId}`);
+    } catch (error) {
+      console.warn(`⚠️  创建运行记录失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 写入单个任务的运行结果
+   */
+  async recordRunTask(result) {
+    if (!this.database || !this.runId) {
+      return;
+    }
+
+    try {
+      await this.database.recordRunTask(this.runId, result);
+    } catch (error) {
+      console.warn(`⚠️  写入运行记录失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 生成报告、结束运行记录并发送通知
+   */
+  async finish(error = null) {
+    const report = this.generateReport(error);
+
+    if (this.database && this.runId) {
+      try {
+        await this.database.finishRun(this.runId, report);
+      } catch (finishError) {
+        console.warn(`⚠️  更新运行记录失败: ${finishError.message}`);
+      }
+    }
+
+    this.notified = await this.notifier.notifyBatch(report, { workerId: this.workerId }) > 0;
+
+    return report;
+  }
+
+  /**
+   * 开始心跳 - 定期续期租约，串行采集耗时较长时避免排队中的任务过期
+   * runner 崩溃后心跳停止，租约到期即可被其他 runner 重新领取
+   */
+  startHeartbeat() {
+    if (!this.database || this.heartbeatTimer) {
+      return;
+    }
+
+    const interval = Math.max(this.leaseSeconds / 3, 10) * 1000;
+    this.heartbeatTimer = setInterval(async () => {
+      try {
+        await this.database.renewTaskLeases(this.workerId, this.leaseSeconds);
+      } catch (error) {
+        console.warn(`⚠️  租约续期失败: ${error.message}`);
+      }
+    }, interval);
+
+    // 心跳不阻止进程退出
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * 停止心跳并释放本 runner 剩余的全部租约
+   */
+  async releaseLeases() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (!this.database) {
+      return;
+    }
+
+    try {
+      const released = await this.database.releaseTaskLeases(this.workerId);
+      if (released > 0) {
+        console.log(`🔓 释放未执行任务的租约: ${released} 个`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  释放租约失败: ${error.message}`);
+    }
+  }
+
   /**
    * 加载用户列表 (兼容旧版JSON/CSV文件模式)
    */
@@ -113,12 +263,17 @@ export class BatchRunner {
     this.startTime = Date.now();
 
     try {
+      // 0. 回收卡在 running 的任务，并创建本次运行记录
+      await this.reapStaleTasks();
+      await this.startRunRecord(options);
+
       // 1. 加载任务列表（支持频率分组）
       let users;
       if (this.database && !options.userListFile) {
         const frequencyGroup = options.frequency || 'all';
         const limit = options.limit || 100;
         users = await this.loadTasksFromDatabase(limit, frequencyGroup);
+        this.startHeartbeat();
       } else {
         users = this.loadUserList(options.userListFile);
       }
@@ -136,7 +291,7 @@ export class BatchRunner {
       const totalUsers = pendingUsers.length;
       if (totalUsers === 0) {
         console.log('⚠️  没有需要处理的用户');
-        return this.generateReport();
+        return await this.finish();
       }
 
       // 2. 串行处理每个任务
@@ -156,14 +311,20 @@ export class BatchRunner {
           const result = await this.scraper.collectForUser(user);
 
           // 记录成功结果
-          this.results.push({
+          const taskResult = {
+            taskId: user.taskId,
             username: user.username,
             type: user.type,
             status: 'success',
             dataCount: result.total || 0,
             newDataCount: result.new || 0,
+            removedDataCount: result.removed || 0,
+            rejectedDataCount: result.rejected || 0,
+            suspectedDeleted: result.suspectedDeleted || [],
+            startedAt: new Date(taskStartTime).toISOString(),
             duration: Date.now() - taskStartTime
-          });
+          };
+          this.results.push(taskResult);
 
           completedCount++;
 
@@ -171,24 +332,50 @@ export class BatchRunner {
           if (this.database && user.taskId) {
             await this.database.updateUserFrequency(user.taskId, result.total || 0);
             await this.database.updateTaskStatus(user.taskId, 'completed');
+            await this.database.releaseTaskLeases(this.workerId, user.taskId);
           }
+          await this.recordRunTask(taskResult);
 
           const elapsed = ((Date.now() - taskStartTime) / 1000).toFixed(1);
-          console.log(`    ✅ +${result.new || 0} 新, ${result.total || 0} 总 (${elapsed}s)\n`);
+          const removedText = result.removed ? `, -${result.removed} 取关` : '';
+          const rejectedText = result.rejected ? `, ${result.rejected} 隔离` : '';
+          console.log(`    ✅ +${result.new || 0} 新${removedText}${rejectedText}, ${result.total || 0} 总 (${elapsed}s)\n`);
+
+          await this.archiveTaskMedia(result.mediaReferences);
 
         } catch (error) {
-          console.error(`    ❌ 失败: ${error.message}\n`);
+          const category = classifyError(error);
+          console.error(`    ❌ 失败 [${category}]: ${error.message}`);
 
-          this.results.push({
+          const result = {
+            taskId: user.taskId,
             username: user.username,
             type: user.type,
             status: 'error',
-            error: error.message
-          });
+            error: error.message,
+            errorCategory: category,
+            startedAt: new Date(taskStartTime).toISOString(),
+            duration: Date.now() - taskStartTime
+          };
+          this.results.push(result);
 
           if (this.database && user.taskId) {
-            await this.database.updateTaskStatus(user.taskId, 'failed', error.message);
+            const failure = await this.database.recordTaskFailure(
+              user.taskId, error.message, category, this.getFailurePolicy()
+            );
+            await this.database.releaseTaskLeases(this.workerId, user.taskId);
+
+            result.failureCount = failure.failureCount;
+            result.disabled = failure.disabled;
+
+            if (failure.disabled) {
+              console.error(`    ⛔ 连续失败 ${failure.failureCount} 次，任务已自动禁用`);
+            } else if (failure.nextRunTime) {
+              console.error(`    ⏳ 第 ${failure.failureCount} 次连续失败，推迟到 ${failure.nextRunTime} UTC`);
+            }
           }
+          await this.recordRunTask(result);
+          console.error('');
 
           // 是否继续处理其他用户
           if (!this.config.batch?.continueOnError) {
@@ -197,11 +384,14 @@ export class BatchRunner {
         }
       }
 
-      return this.generateReport();
+      return await this.finish();
 
     } catch (error) {
       console.error('\n❌ 批量任务失败:', error.message);
-      return this.generateReport(error);
+      return await this.finish(error);
+    } finally {
+      // 中途退出时，未执行的任务立即交还给其他 runner
+      await this.releaseLeases();
     }
   }
 
@@ -285,6 +475,35 @@ export class BatchRunner {
     return result;
   }
 
+  /**
+   * 归档任务的媒体文件 (config.media.enabled)
+   * 在任务记录为成功之后执行，不在 collectForUser 的超时范围内: 下载再慢也不会让已入库的任务被判为失败
+   * @param {Array} references - collectForUser 结果中的 mediaReferences
+   */
+  async archiveTaskMedia(references) {
+    if (!references || references.length === 0 || !this.scraper.archiveMedia) {
+      return;
+    }
+
+    try {
+      await this.scraper.archiveMedia(references);
+    } catch (error) {
+      console.warn(`    ⚠️  媒体归档失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 失败退避策略 (见 DatabaseManager.recordTaskFailure)
+   */
+  getFailurePolicy() {
+    const batch = this.config.batch || {};
+    return {
+      baseMinutes: batch.failureBackoffMinutes || 60,
+      maxMinutes: (batch.failureBackoffMaxHours || 168) * 60,
+      disableAfter: batch.disableAfterFailures || 5
+    };
+  }
+
   /**
    * 根据数据类型获取插件类型
    */
@@ -315,7 +534,24 @@ export class BatchRunner {
     const endTime = Date.now();
     const duration = endTime - this.startTime;
 
+    // 失败按分类汇总
+    const errorCategories = {};
+    for (const r of this.results.filter(r => r.status === 'error')) {
+      const category = r.errorCategory || 'unknown';
+      errorCategories[category] = (errorCategories[category] || 0) + 1;
+    }
+    const disabledTasks = this.results
+      .filter(r => r.disabled)
+      .map(r => ({ username: r.username, type: r.type, errorCategory: r.errorCategory }));
+    const suspectedDeleted = this.results.flatMap(r => (r.suspectedDeleted || []).map(post => ({
+      username: r.username,
+      tweetId: post.tweet_id,
+      publishedAt: post.published_at,
+      text: post.text
+    })));
+
     const report = {
+      runId: this.runId,
       startTime: new Date(this.startTime).toISOString(),
       endTime: new Date(endTime).toISOString(),
       duration: `${(duration / 1000 / 60).toFixed(2)} 分钟`,
@@ -323,6 +559,10 @@ export class BatchRunner {
       successCount: this.results.filter(r => r.status === 'success').length,
       errorCount: this.results.filter(r => r.status === 'error').length,
       totalNewData: this.results.reduce((sum, r) => sum + (r.newDataCount || 0), 0),
+      totalRejectedData: this.results.reduce((sum, r) => sum + (r.rejectedDataCount || 0), 0),
+      errorCategories,
+      disabledTasks,
+      suspectedDeleted,
       globalError: error ? error.message : null,
       results: this.results
     };
@@ -334,7 +574,20 @@ export class BatchRunner {
     console.log(`总用户数: ${report.totalUsers}`);
     console.log(`成功: ${report.successCount}`);
     console.log(`失败: ${report.errorCount}`);
+    for (const [category, count] of Object.entries(errorCategories)) {
+      console.log(`  - ${category}: ${count}`);
+    }
+    if (disabledTasks.length > 0) {
+      console.log(`自动禁用: ${disabledTasks.map(t => `@${t.username}(${t.type})`).join(', ')}`);
+    }
     console.log(`新增数据: ${report.totalNewData} 条`);
+    if (report.totalRejectedData > 0) {
+      console.log(`隔离数据: ${report.totalRejectedData} 行未通过校验 (npm run history -- quarantine <username>)`);
+    }
+    if (suspectedDeleted.length > 0) {
+      console.log(`疑似删除: ${suspectedDeleted.length} 条推文`);
+      suspectedDeleted.forEach(post => console.log(`  - @${post.username} ${post.tweetId}`));
+    }
     console.log(`总耗时: ${report.duration}`);
     console.log('═'.repeat(50));
 
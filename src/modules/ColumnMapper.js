@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 导出列映射 - 把各插件、各版本的导出表头统一为标准的 Post/User 字段
+ *
+ * 映射文件放在 src/mappings 下，每个文件默认导出一个 profile:
+ *   { id, extension, version, model: 'post' | 'user', columns: { 标准字段: 表头 | [表头, ...] } }
+ * 支持新的插件版本只需新增映射文件；未指定 profile 时按表头命中数自动选择
+ * 标准字段与数据库列同名，DatabaseManager 等下游只读取标准字段
+ */
+
+// 标准模型的字段 (后三个由 ThreadResolver 写入)
+export const CANONICAL_FIELDS = {
+  post: [
+    'tweet_id', 'text', 'language', 'type',
+    'view_count', 'reply_count', 'retweet_count', 'quote_count', 'favorite_count', 'bookmark_count',
+    'published_at', 'tweet_url', 'source', 'hashtags', 'urls', 'media_type', 'media_urls',
+    'author_username', 'author_name',
+    'in_reply_to_tweet_id', 'conversation_id', 'thread_confidence'
+  ],
+  user: [
+    'user_id', 'username', 'name', 'bio', 'location', 'website', 'verified', 'is_blue_verified',
+    'followers_count', 'following_count', 'tweets_count', 'avatar_url', 'banner_url'
+  ]
+};
+
+// 任务类型对应的模型
+export const TYPE_MODELS = {
+  posts: 'post',
+  replies: 'post',
+  tweets: 'post',
+  followers: 'user',
+  following: 'user'
+};
+
+export class ColumnMapper {
+  /**
+   * @param {Object} options - { post, user } 指定使用的 profile id (config.columnMappings)，为空时自动识别
+   * @param {string} mappingsDir - 映射文件目录
+   */
+  constructor(options = {}, mappingsDir = null) {
+    this.options = options;
+    this.mappingsDir = mappingsDir || path.resolve(__dirname, '../mappings');
+    this.profiles = null;
+  }
+
+  /**
+   * 读取全部映射文件 (只读取一次)
+   * @returns {Promise<Array>} profiles
+   */
+  async loadProfiles() {
+    if (this.profiles) return this.profiles;
+
+    if (!fs.existsSync(this.mappingsDir)) {
+      throw new Error(`映射目录不存在: ${this.mappingsDir}`);
+    }
+
+    const files = fs.readdirSync(this.mappingsDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    const profiles = [];
+    for (const file of files) {
+      const { default: profile } = await import(pathToFileURL(path.join(this.mappingsDir, file)).href);
+
+      if (!profile?.id || !CANONICAL_FIELDS[profile.model] || !profile.columns) {
+        throw new Error(`映射文件必须导出 { id, model: 'post'|'user', columns }: ${file}`);
+      }
+
+      const unknown = Object.keys(profile.columns).filter(field => !CANONICAL_FIELDS[profile.model].includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`映射文件 ${file} 包含未知字段: ${unknown.join(', ')}`);
+      }
+
+      profiles.push(profile);
+    }
+
+    this.profiles = profiles;
+    return profiles;
+  }
+
+  /**
+   * 字段可能对应的表头列表
+   */
+  getHeaders(profile, field) {
+    const headers = profile?.columns[field];
+    if (!headers) return [];
+    return Array.isArray(headers) ? headers : [headers];
+  }
+
+  /**
+   * 选择映射 profile
+   * 配置了 id 时直接使用，否则选表头命中最多的 (一个都不命中时返回 null，按标准字段原样读取)
+   * @param {string} model - 'post' | 'user'
+   * @param {Array} rows - 导出数据
+   * @returns {Promise<Object|null>} profile
+   */
+  async detect(model, rows) {
+    const profiles = (await this.loadProfiles()).filter(profile => profile.model === model);
+
+    const configured = this.options[model];
+    if (configured) {
+      const profile = profiles.find(p => p.id === configured);
+      if (!profile) {
+        throw new Error(`未找到 ${model} 列映射: ${configured} (可选: ${profiles.map(p => p.id).join(', ')})`);
+      }
+      return profile;
+    }
+
+    const keys = new Set();
+    for (const row of rows.slice(0, 100)) {
+      Object.keys(row || {}).forEach(key => keys.add(key));
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const profile of profiles) {
+      const score = Object.keys(profile.columns)
+        .filter(field => this.getHeaders(profile, field).some(header => keys.has(header)))
+        .length;
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 把一行导出数据转为标准字段
+   * 表头都不存在时读取同名的标准字段；仍不存在的字段不写入结果 (便于 RowValidator 判断缺列)
+   */
+  mapRow(model, profile, row) {
+    const mapped = {};
+    if (!row || typeof row !== 'object') return mapped;
+
+    for (const field of CANONICAL_FIELDS[model]) {
+      const header = this.getHeaders(profile, field).find(h => row[h] !== undefined);
+      const value = header !== undefined ? row[header] : row[field];
+      if (value !== undefined) {
+        mapped[field] = value;
+      }
+    }
+    return mapped;
+  }
+
+  /**
+   * 转换一次导出的所有行
+   * @param {string} type - 任务类型 (posts/replies/followers/following)
+   * @param {Array} rows - 导出数据
+   * @returns {Promise<Object>} { rows, profile }，未知类型原样返回
+   */
+  async map(type, rows) {
+    const model = TYPE_MODELS[type];
+    if (!model || !rows || rows.length === 0) {
+      return { rows: rows || [], profile: null };
+    }
+
+    const profile = await this.detect(model, rows);
+    return {
+      rows: rows.map(row => this.mapRow(model, profile, row)),
+      profile
+    };
+  }
+}
+
+export default ColumnMapper;
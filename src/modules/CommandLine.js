@@ -0,0 +1,64 @@
+/**
+ * 命令行工具函数 - 供 migrate、tasks、runs 等子命令式脚本共用
+ */
+
+/**
+ * 解析命令行参数
+ * 支持 --key=value / --flag 形式的选项，其余参数按顺序放入 _ 数组
+ * @param {Array<string>} argv - 参数列表 (默认 process.argv.slice(2))
+ * @returns {Object} 解析结果，例如 { _: ['down'], steps: '2' }
+ */
+export function parseArgs(argv = process.argv.slice(2)) {
+  const options = { _: [] };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      options[key] = rest.length > 0 ? rest.join('=') : true;
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * 格式化单元格: 时间显示为 UTC 分钟精度，空值显示为 -
+ * @param {*} value - 单元格的值
+ * @returns {string}
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined) return '-';
+  if (value instanceof Date) return value.toISOString().slice(0, 16).replace('T', ' ');
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * 终端显示宽度 (中日韩等全角字符占两列)
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 打印对齐的文本表格
+ * @param {Array<Object>} rows - 数据行
+ * @param {Array<Array>} columns - [[字段名或取值函数, 表头], ...]
+ */
+export function printTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([key]) => formatCell(typeof key === 'function' ? key(row) : row[key])));
+
+  const headers = columns.map(([, title]) => title);
+  const widths = headers.map((header, i) => Math.max(displayWidth(header), ...cells.map(cell => displayWidth(cell[i]))));
+  const formatRow = cell => cell.map((text, i) => text + ' '.repeat(widths[i] - displayWidth(text))).join('  ').trimEnd();
+
+  console.log(formatRow(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  cells.forEach(cell => console.log(formatRow(cell)));
+}
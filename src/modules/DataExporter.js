@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { once } from 'events';
 import { createObjectCsvWriter } from 'csv-writer';
 
 /**
@@ -215,6 +216,103 @@ export class DataExporter {
     return result;
   }
 
+  /**
+   * 流式导出 - 逐页写入文件，用于导出数据库中的大量数据 (不经过 collectedData)
+   * 列以第一页为准，各页的字段需要一致 (见 DatabaseManager.streamExportRows)
+   * @param {AsyncIterable<Array>} pages - 每次产出一页数据行
+   * @returns {Promise<Object>} { csv, json, count }
+   */
+  async exportStream(pages) {
+    const format = this.config.output.format;
+    const outputDir = this.config.output.directory;
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const result = { csv: null, json: null, count: 0 };
+    let csvWriter = null;
+    let jsonStream = null;
+
+    try {
+      for await (const page of pages) {
+        if (page.length === 0) continue;
+
+        // 第一页到达时再创建文件，没有数据时不产生空文件
+        if (result.count === 0) {
+          const columns = Object.keys(page[0]);
+
+          if (format === 'csv' || format === 'both') {
+            result.csv = path.join(outputDir, this.generateFilename('csv'));
+            csvWriter = createObjectCsvWriter({
+              path: result.csv,
+              header: columns.map(col => ({ id: col, title: col }))
+            });
+          }
+
+          if (format === 'json' || format === 'both') {
+            result.json = path.join(outputDir, this.generateFilename('json'));
+            jsonStream = fs.createWriteStream(result.json, 'utf8');
+            jsonStream.write('[\n');
+          }
+        }
+
+        if (csvWriter) {
+          await csvWriter.writeRecords(page.map(row => this.formatCsvRow(row)));
+        }
+
+        if (jsonStream) {
+          const chunk = page
+            .map((row, i) => (result.count + i > 0 ? ',\n' : '') + '  ' + JSON.stringify(row))
+            .join('');
+
+          // 等待写入缓冲区排空，避免数据堆积在内存中
+          if (!jsonStream.write(chunk)) {
+            await once(jsonStream, 'drain');
+          }
+        }
+
+        result.count += page.length;
+        console.log(`📦 已导出 ${result.count} 条数据`);
+      }
+    } finally {
+      if (jsonStream) {
+        jsonStream.write(result.count > 0 ? '\n]\n' : ']\n');
+        await new Promise((resolve, reject) => {
+          jsonStream.on('error', reject);
+          jsonStream.end(resolve);
+        });
+      }
+    }
+
+    if (result.count === 0) {
+      console.warn('⚠️  没有数据可导出');
+      return result;
+    }
+
+    if (result.csv) console.log(`✅ CSV文件已保存: ${result.csv} (${result.count} 行)`);
+    if (result.json) console.log(`✅ JSON文件已保存: ${result.json} (${result.count} 条记录)`);
+
+    return result;
+  }
+
+  /**
+   * CSV 单元格格式: 时间转为 ISO 字符串，空值写为空
+   */
+  formatCsvRow(row) {
+    const formatted = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (value instanceof Date) {
+        formatted[key] = value.toISOString();
+      } else if (Array.isArray(value)) {
+        formatted[key] = JSON.stringify(value);
+      } else {
+        formatted[key] = value === null || value === undefined ? '' : value;
+      }
+    }
+    return formatted;
+  }
+
   /**
    * 保存进度(断点续传)
    */
@@ -1,3 +1,11 @@
+import fs from 'fs';
+import path from 'path';
+import { MediaArchiver } from './MediaArchiver.js';
+import { ThreadResolver } from './ThreadResolver.js';
+import { ColumnMapper } from './ColumnMapper.js';
+import { RowValidator } from './RowValidator.js';
+import { ERROR_CATEGORIES, createTaskError } from './TaskErrors.js';
+
 /**
  * 增量数据收集器 - 基于数据库的ID去重实现增量采集
  * 不再使用文件系统存储历史记录
@@ -6,19 +14,148 @@ export class IncrementalCollector {
   constructor(config, database = null) {
     this.config = config;
     this.database = database;  // DatabaseManager 实例
+    this.threadResolver = new ThreadResolver();
+    this.columnMapper = new ColumnMapper(config?.columnMappings || {});
+    this.rowValidator = config?.validation?.enabled === false ? null : new RowValidator();
+    this.mediaArchiver = database && config?.media?.enabled
+      ? new MediaArchiver(config.media, database)
+      : null;
+  }
+
+  /**
+   * 归档媒体文件 (未开启时跳过)，失败只记录日志，不影响采集结果
+   * 入库时只收集链接 (结果中的 mediaReferences)，由 BatchRunner 在任务记录为成功之后调用，
+   * 下载耗时不计入任务超时
+   */
+  async archiveMedia(references) {
+    if (!this.mediaArchiver || references.length === 0) return null;
+
+    try {
+      const stats = await this.mediaArchiver.archive(references);
+      console.log(`    🖼️  媒体归档: 新增 ${stats.archived}, 重复内容 ${stats.deduplicated}, 跳过 ${stats.skipped}, 失败 ${stats.failed}`);
+      return stats;
+    } catch (error) {
+      console.warn(`    ⚠️  媒体归档失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 校验转换后的导出数据，不合格的行隔离后剔除
+   * 不合格比例超过 config.validation.maxRejectionRate 时任务失败 (多半是插件导出格式变化，继续入库只会写入空值)
+   * @param {Array} rows - ColumnMapper 转换后的数据
+   * @param {Array} rawData - 原始导出数据 (隔离时保存原始行)
+   * @returns {Promise<Object>} { valid, rejected }
+   */
+  async validateRows(username, type, rows, rawData) {
+    if (!this.rowValidator || !rows || rows.length === 0) {
+      return { valid: rows, rejected: [] };
+    }
+
+    const { valid, rejected, missingColumns } = this.rowValidator.validate(type, rows);
+    if (rejected.length === 0) {
+      return { valid, rejected };
+    }
+
+    const summary = this.rowValidator.summarize(rejected);
+    if (missingColumns.length > 0) {
+      console.error(`    ❌ 导出缺少必需字段: ${missingColumns.join(', ')} (检查 config.columnMappings 或新增 src/mappings 映射文件)`);
+    }
+    console.warn(`    ⚠️  ${rejected.length}/${rawData.length} 行未通过校验: ${summary.join('; ')}`);
+
+    await this.quarantineRows(username, type, rejected.map(item => ({ ...item, row: rawData[item.index] })));
+
+    const rate = rejected.length / rawData.length;
+    const maxRate = this.config?.validation?.maxRejectionRate ?? 0.2;
+    if (rate > maxRate) {
+      throw createTaskError(
+        `导出数据校验失败: ${rejected.length}/${rawData.length} 行不合格 (${(rate * 100).toFixed(1)}%，上限 ${(maxRate * 100).toFixed(1)}%)，${summary[0]}`,
+        ERROR_CATEGORIES.INVALID_DATA
+      );
+    }
+
+    return { valid, rejected };
+  }
+
+  /**
+   * 隔离不合格的行: 有数据库时写入 quarantined_rows，否则写入 quarantineDir 下的 JSON Lines 文件
+   * 隔离失败只记录日志
+   */
+  async quarantineRows(username, type, rejected) {
+    try {
+      if (this.database) {
+        await this.database.quarantineRows(username, type, rejected);
+        console.log(`    🚧 已隔离 ${rejected.length} 行到 quarantined_rows`);
+        return;
+      }
+
+      const directory = this.config?.validation?.quarantineDir || './output/quarantine';
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filePath = path.join(directory, `${username}_${type}_${timestamp}.jsonl`);
+      const lines = rejected.map(({ index, row, reasons }) => JSON.stringify({ index, reasons, row }));
+
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(filePath, lines.join('\n') + '\n');
+      console.log(`    🚧 已隔离 ${rejected.length} 行到 ${filePath}`);
+    } catch (error) {
+      console.warn(`    ⚠️  隔离数据失败: ${error.message}`);
+    }
   }
 
   /**
    * 获取数据项的唯一ID
    */
   getItemId(item) {
-    return item.ID || item.id || item.tweet_id || item.status_id || item['User ID'];
+    return item.tweet_id || item.user_id;
+  }
+
+  /**
+   * 本次导出覆盖的发布时间范围 (只看 type = Tweet 的原创推文)
+   * 置顶推文排在第一行且可能很旧，早于其后最新的推文时不计入范围
+   * @returns {Object|null} { since, until }，推文少于 2 条时返回 null
+   */
+  getPublishedWindow(rows) {
+    const times = rows
+      .filter(row => row.type === 'Tweet')
+      .map(row => new Date(row.published_at).getTime())
+      .filter(time => !isNaN(time));
+
+    if (times.length > 1 && times[0] < Math.max(...times.slice(1))) {
+      times.shift();
+    }
+    if (times.length < 2) return null;
+
+    return {
+      since: new Date(Math.min(...times)),
+      until: new Date(Math.max(...times))
+    };
+  }
+
+  /**
+   * 对比本次导出与数据库，标记疑似删除的推文
+   * @param {DatabaseManager} database - 数据库 (入库事务中传入事务内的实例)
+   * @returns {Promise<Array>} 本次新标记的推文
+   */
+  async detectDeletedPosts(database, userId, rows) {
+    const window = this.getPublishedWindow(rows);
+    if (!window) return [];
+
+    const threshold = this.config?.batch?.deletionMissThreshold || 2;
+    const { missing, suspected } = await database.detectMissingPosts(
+      userId, rows.map(row => this.getItemId(row)), window.since, window.until, threshold
+    );
+
+    if (missing > 0) {
+      console.log(`    🕳️  ${missing} 条推文未出现在本次导出中，${suspected.length} 条标记为疑似删除`);
+    }
+    return suspected;
   }
 
   /**
    * 处理推文/回复数据 (posts/replies)
+   * @param {object} options - { partial } 有行被隔离时不检测疑似删除
    */
-  async processPostsData(username, type, rawData) {
+  async processPostsData(username, type, rawData, options = {}) {
     if (!rawData || rawData.length === 0) {
       return { total: 0, new: 0, updated: 0, data: [] };
     }
@@ -31,37 +168,10 @@ export class IncrementalCollector {
       return { total: 0, new: 0, updated: 0, data: [] };
     }
 
-    // 上下文解析：如果是 replies 类型，根据行顺序推断回复关系
-    // 规则：Reply 类型行的上一行是其父推文
+    // 回复关系解析：replies 导出不含 in_reply_to 字段，根据 @提及、作者、时间和导出顺序推断
     if (type === 'replies') {
-      let previousTweetId = null;
-      let conversationRootId = null;
-
-      for (const row of validData) {
-        const currentId = this.getItemId(row);
-        const postType = row.Type;
-
-        if (postType === 'Reply') {
-          // 核心逻辑：当前 Reply 回复的是上一行的推文
-          row.in_reply_to_tweet_id = previousTweetId;
-
-          // 尝试继承对话根ID
-          if (conversationRootId) {
-            row.conversation_id = conversationRootId;
-          } else if (previousTweetId) {
-            // 如果没有根ID，且上一条存在，暂且认为上一条可能是根（简化逻辑）
-            row.conversation_id = previousTweetId;
-          }
-        } else {
-          // 如果不是 Reply，它可能是新对话的开始
-          conversationRootId = currentId;
-          row.conversation_id = currentId;
-          row.in_reply_to_tweet_id = null;
-        }
-
-        // 更新指针
-        previousTweetId = currentId;
-      }
+      const threadStats = this.threadResolver.resolve(validData);
+      console.log(`    🧵 回复关系: 可靠 ${threadStats.explicit + threadStats.inferred}, 推测 ${threadStats.guessed}, 未解析 ${threadStats.unresolved}`);
     }
 
     // 如果没有数据库,返回原始数据
@@ -75,44 +185,45 @@ export class IncrementalCollector {
     }
 
     try {
-      // 1. 确保用户存在,获取用户ID
-      let userId = await this.database.getUserIdByUsername(username);
-
-      if (!userId && validData.length > 0) {
-        // 从第一条推文创建用户
-        const firstPost = validData[0];
-        const userData = {
-          username: firstPost['Author Username'] || username,
-          name: firstPost['Author Name'],
-          user_id: null  // Posts CSV通常不包含User ID
-        };
-        userId = await this.database.upsertUser(userData);
-      }
+      // 1-4 在同一个事务中写入: 中途失败整体回滚，死锁/写冲突时整体重试，统计只来自提交成功的那一次
+      const committed = await this.database.transaction(async tx => {
+        // 1. 确保用户存在,获取用户ID
+        let userId = await tx.getUserIdByUsername(username);
+
+        if (!userId) {
+          // 从第一条推文创建用户
+          const firstPost = validData[0];
+          const userData = {
+            username: firstPost.author_username || username,
+            name: firstPost.author_name,
+            user_id: null  // Posts CSV通常不包含User ID
+          };
+          userId = await tx.upsertUser(userData);
+        }
 
-      // 2. 获取数据库中已有的推文ID
-      const existingIds = await this.database.getCollectedPostIds(userId);
+        // 2. 统计新数据和更新数据: 只查询本次导入的ID是否已存在 (同一批次内重复的ID只计一次，与入库时的去重一致)
+        const ids = new Set(validData.map(item => String(this.getItemId(item))));
+        const existingIds = await tx.findExistingPostIds(userId, [...ids]);
+        const updateCount = existingIds.size;
 
-      // 3. 统计新数据和更新数据
-      let newCount = 0;
-      let updateCount = 0;
+        // 3. 批量插入或更新到数据库
+        const written = await tx.batchUpsertPosts(validData, userId);
 
-      validData.forEach(item => {
-        const id = this.getItemId(item);
-        if (id && existingIds.has(String(id))) {
-          updateCount++;
-        } else if (id) {
-          newCount++;
-        }
-      });
+        // 4. 检测疑似删除的推文 (只有 posts 导出是完整的时间线)
+        const suspectedDeleted = type === 'posts' && !options.partial
+          ? await this.detectDeletedPosts(tx, userId, validData)
+          : [];
 
-      // 4. 批量插入或更新到数据库
-      await this.database.batchUpsertPosts(validData, userId);
+        return { written, new: ids.size - updateCount, updated: updateCount, suspectedDeleted };
+      });
 
-      // 5. 返回统计信息
+      // 5. 返回统计信息 (已提交的数据)，推文媒体链接交给调用方在任务结束后归档 (config.media.enabled)
       return {
-        total: validData.length,
-        new: newCount,
-        updated: updateCount,
+        total: committed.written,
+        new: committed.new,
+        updated: committed.updated,
+        suspectedDeleted: committed.suspectedDeleted,
+        mediaReferences: this.mediaArchiver ? this.mediaArchiver.collectPostMedia(validData) : [],
         data: validData
       };
 
@@ -124,8 +235,9 @@ export class IncrementalCollector {
 
   /**
    * 处理关注关系数据 (followers/following)
+   * @param {object} options - { maxCount, partial } 用于判断本次采集是否完整 (完整时才检测取关)
    */
-  async processFollowersData(username, type, rawData) {
+  async processFollowersData(username, type, rawData, options = {}) {
     if (!rawData || rawData.length === 0) {
       return { total: 0, new: 0, updated: 0, data: [] };
     }
@@ -141,67 +253,78 @@ export class IncrementalCollector {
     }
 
     try {
-      // 1. 确保目标用户存在
-      let userId = await this.database.getUserIdByUsername(username);
+      // 本次采集时间：所有出现的关系刷新 last_seen_at，未出现的视为取关
+      const seenAt = this.database.parseDateTime(new Date());
 
-      if (!userId) {
-        const userData = { username };
-        userId = await this.database.upsertUser(userData);
-      }
-
-      // V2 逻辑：Following 数据使用新表 twitter_followings
-      if (type === 'following') {
-        // 批量 Upsert 被关注的用户信息
-        const idMap = await this.database.batchUpsertUsers(rawData);
+      // 达到 maxCount 上限的导出可能被截断，有行被隔离时也不完整，都不能据此判断取关
+      const isComplete = !options.partial && (!options.maxCount || rawData.length < options.maxCount);
 
-        // 获取目标用户的内部 ID 列表
-        const targetInternalIds = [];
-        rawData.forEach(item => {
-          const twitterId = item['User ID'] || item.user_id;
-          if (twitterId && idMap[twitterId]) {
-            targetInternalIds.push(idMap[twitterId]);
-          }
-        });
+      // 用户资料、关注关系和取关标记在同一个事务中写入，统计只来自提交成功的那一次
+      const committed = await this.database.transaction(async tx => {
+        // 1. 确保目标用户存在
+        let userId = await tx.getUserIdByUsername(username);
 
-        // 批量插入关注关系
-        const importedCount = await this.database.batchInsertFollowings(userId, targetInternalIds);
+        if (!userId) {
+          const userData = { username };
+          userId = await tx.upsertUser(userData);
+        }
 
-        return {
-          total: rawData.length,
-          new: importedCount,
-          updated: 0,
-          data: rawData
-        };
-      }
+        // V2 逻辑：Following 数据使用新表 twitter_followings
+        if (type === 'following') {
+          // 批量 Upsert 被关注的用户信息
+          const idMap = await tx.batchUpsertUsers(rawData);
+
+          // 获取目标用户的内部 ID 列表
+          const targetInternalIds = new Set();
+          rawData.forEach(item => {
+            const twitterId = item.user_id;
+            if (twitterId && idMap[twitterId]) {
+              targetInternalIds.add(idMap[twitterId]);
+            }
+          });
+
+          // 批量写入关注关系，并标记取关
+          const importedCount = await tx.batchInsertFollowings(userId, [...targetInternalIds], seenAt);
+          const removedCount = isComplete
+            ? await tx.markRemovedFollowings(userId, seenAt)
+            : 0;
+
+          return {
+            total: targetInternalIds.size,
+            new: importedCount,
+            updated: Math.max(targetInternalIds.size - importedCount, 0),
+            removed: removedCount
+          };
+        }
 
-      // 旧版逻辑 (Followers 仍使用旧表，或者如果需要兼容)
-      const relationType = type === 'followers' ? 'follower' : 'following';
+        // 旧版逻辑 (Followers 仍使用旧表，或者如果需要兼容)
+        const relationType = type === 'followers' ? 'follower' : 'following';
 
-      // 获取数据库中已有的关注关系ID
-      const existingIds = await this.database.getCollectedFollowerIds(userId, relationType);
+        // 统计新数据和更新数据: 只查询本次导入的ID是否已存在 (同一批次内重复的ID只计一次)
+        const ids = new Set(rawData.map(item => item.user_id).filter(Boolean).map(String));
+        const existingIds = await tx.findExistingFollowerIds(userId, relationType, [...ids]);
+        const updateCount = existingIds.size;
 
-      // 统计新数据和更新数据
-      let newCount = 0;
-      let updateCount = 0;
+        // 批量插入或更新到数据库，并标记取关
+        const written = await tx.batchUpsertFollowers(rawData, userId, relationType, seenAt);
+        const removedCount = isComplete
+          ? await tx.markRemovedFollowers(userId, relationType, seenAt)
+          : 0;
 
-      rawData.forEach(item => {
-        const id = item['User ID'] || item.user_id;
-        if (id && existingIds.has(String(id))) {
-          updateCount++;
-        } else if (id) {
-          newCount++;
-        }
+        return {
+          total: written,
+          new: ids.size - updateCount,
+          updated: updateCount,
+          removed: removedCount
+        };
       });
 
-      // 批量插入或更新到数据库
-      await this.database.batchUpsertFollowers(rawData, userId, relationType);
+      // 头像和横幅链接 (config.media.profileImages) 交给调用方在任务结束后归档
+      const mediaReferences = type === 'following' && this.mediaArchiver
+        ? this.mediaArchiver.collectUserImages(rawData)
+        : [];
 
-      return {
-        total: rawData.length,
-        new: newCount,
-        updated: updateCount,
-        data: rawData
-      };
+      return { ...committed, mediaReferences, data: rawData };
 
     } catch (error) {
       console.error(`❌ 处理关注数据失败: ${error.message}`);
@@ -211,22 +334,36 @@ export class IncrementalCollector {
 
   /**
    * 统一入口 - 处理采集结果
+   * 原始导出先经 ColumnMapper 转为标准字段 (见 CANONICAL_FIELDS)，之后的处理和入库只读取标准字段
+   * @param {object} options - { maxCount } 本次任务的采集上限
    */
-  async processCollectedData(username, type, rawData) {
+  async processCollectedData(username, type, rawData, options = {}) {
+    // 按插件版本的列映射转为标准字段
+    const { rows, profile } = await this.columnMapper.map(type, rawData);
+    if (profile) {
+      console.log(`    🗺️  列映射: ${profile.id}`);
+    }
+
+    // 校验导出格式，不合格的行隔离后不再入库
+    const { valid, rejected } = await this.validateRows(username, type, rows, rawData);
+
     // 根据类型调用不同的处理方法
+    let result;
     if (type === 'posts' || type === 'replies' || type === 'tweets') {
-      return await this.processPostsData(username, type, rawData);
+      result = await this.processPostsData(username, type, valid, { partial: rejected.length > 0 });
     } else if (type === 'followers' || type === 'following') {
-      return await this.processFollowersData(username, type, rawData);
+      result = await this.processFollowersData(username, type, valid, { ...options, partial: rejected.length > 0 });
     } else {
       console.warn(`⚠️  未知的数据类型: ${type}`);
-      return {
-        total: rawData.length,
-        new: rawData.length,
+      result = {
+        total: valid.length,
+        new: valid.length,
         updated: 0,
-        data: rawData
+        data: valid
       };
     }
+
+    return { ...result, rejected: rejected.length };
   }
 
   /**
@@ -255,20 +392,18 @@ export class IncrementalCollector {
 
       // 根据类型查询不同的表
       if (type === 'posts' || type === 'replies' || type === 'tweets') {
-        const ids = await this.database.getCollectedPostIds(userId);
         return {
           username,
           type,
-          totalCollected: ids.size,
+          totalCollected: await this.database.countCollectedPosts(userId),
           lastRun: new Date().toISOString()
         };
       } else if (type === 'followers' || type === 'following') {
         const relationType = type === 'followers' ? 'follower' : 'following';
-        const ids = await this.database.getCollectedFollowerIds(userId, relationType);
         return {
           username,
           type,
-          totalCollected: ids.size,
+          totalCollected: await this.database.countCollectedFollowers(userId, relationType),
           lastRun: new Date().toISOString()
         };
       }
@@ -0,0 +1,355 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { extractPostEntities } from './PostEntities.js';
+
+/**
+ * 媒体归档 - 将推文图片/视频和用户头像/横幅下载到本地或 S3 兼容存储 (如 MinIO)
+ * 文件按内容 sha256 寻址，相同内容只存一份；已归档的链接不会重复下载
+ * 归档记录见 media_files / media_archive 表
+ */
+
+// Content-Type 对应的扩展名
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'application/x-mpegurl': 'm3u8'
+};
+
+// 扩展名对应的 Content-Type (响应头缺失时使用)
+const EXTENSION_MIMES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  m3u8: 'application/x-mpegurl'
+};
+
+const DEFAULT_OPTIONS = {
+  storage: 'local',
+  directory: './data/media',
+  s3: {},
+  profileImages: false,
+  concurrency: 3,
+  timeout: 30000,
+  maxBytes: 50 * 1024 * 1024,
+  maxAttempts: 3
+};
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * 本地存储: <directory>/ab/cd/<sha256>.<ext>
+ */
+export class LocalMediaStore {
+  constructor(directory) {
+    this.name = 'local';
+    this.directory = path.resolve(process.cwd(), directory);
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(path.join(this.directory, key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(key, buffer) {
+    const filePath = path.join(this.directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // 先写临时文件再重命名，进程中断时不会留下不完整的文件
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+/**
+ * S3 兼容存储 (AWS S3 / MinIO 等)，使用 Signature V4 签名直接调用 REST 接口
+ */
+export class S3MediaStore {
+  constructor(options = {}) {
+    const { bucket, accessKeyId, secretAccessKey } = options;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 存储需要配置 bucket、accessKeyId 和 secretAccessKey');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = options.prefix ? options.prefix.replace(/\/+$/, '') + '/' : '';
+
+    // 自定义 endpoint (MinIO) 默认使用 path-style: <endpoint>/<bucket>/<key>
+    this.endpoint = options.endpoint
+      ? options.endpoint.replace(/\/+$/, '')
+      : `https://s3.${this.region}.amazonaws.com`;
+    this.forcePathStyle = options.endpoint ? options.forcePathStyle !== false : false;
+  }
+
+  objectUrl(key) {
+    const objectKey = encodeURI(this.prefix + key);
+    if (this.forcePathStyle) {
+      return new URL(`${this.endpoint}/${this.bucket}/${objectKey}`);
+    }
+    const endpoint = new URL(this.endpoint);
+    return new URL(`${endpoint.protocol}//${this.bucket}.${endpoint.host}/${objectKey}`);
+  }
+
+  /**
+   * 生成 Signature V4 请求头
+   */
+  signHeaders(method, url, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).join(';');
+    const canonicalHeaders = Object.entries(headers).map(([name, value]) => `${name}:${value}\n`).join('');
+
+    const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async exists(key) {
+    const url = this.objectUrl(key);
+    const response = await fetch(url, {
+      method: 'HEAD',
+      headers: this.signHeaders('HEAD', url, sha256Hex(''))
+    });
+
+    if (response.status === 404) return false;
+    if (!response.ok) {
+      throw new Error(`S3 HEAD 失败: HTTP ${response.status}`);
+    }
+    return true;
+  }
+
+  async put(key, buffer, mimeType) {
+    const url = this.objectUrl(key);
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: {
+        ...this.signHeaders('PUT', url, sha256Hex(buffer)),
+        'content-type': mimeType || 'application/octet-stream'
+      },
+      body: buffer
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`S3 上传失败: HTTP ${response.status} ${body.slice(0, 200)}`);
+    }
+  }
+}
+
+/**
+ * 根据配置创建存储后端
+ */
+export function createMediaStore(options) {
+  if (options.storage === 's3') {
+    return new S3MediaStore(options.s3);
+  }
+  if (options.storage === 'local') {
+    return new LocalMediaStore(options.directory);
+  }
+  throw new Error(`不支持的媒体存储类型: ${options.storage}`);
+}
+
+export class MediaArchiver {
+  /**
+   * @param {Object} options - config.media
+   * @param {DatabaseManager} database - 数据库实例
+   */
+  constructor(options, database) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.database = database;
+    this.store = createMediaStore(this.options);
+  }
+
+  /**
+   * 从推文中提取媒体链接
+   * @param {Array} posts - 标准字段的推文或 twitter_posts 行 (需要 tweet_id 和 media_urls)
+   * @returns {Array<Object>} [{ url, kind: 'post', ownerId }]
+   */
+  collectPostMedia(posts) {
+    return posts.flatMap(post => {
+      const tweetId = String(post.tweet_id);
+      return extractPostEntities({ media_urls: post.media_urls }).urls
+        .map(({ url }) => ({ url, kind: 'post', ownerId: tweetId }));
+    });
+  }
+
+  /**
+   * 提取用户头像和横幅链接 (需开启 profileImages)
+   * @param {Array} users - 标准字段的用户数据或 twitter_users 行
+   * @returns {Array<Object>} [{ url, kind: 'avatar'|'banner', ownerId }]
+   */
+  collectUserImages(users) {
+    if (!this.options.profileImages) return [];
+
+    return users.flatMap(user => {
+      const username = user.username;
+      const images = [
+        ['avatar', user.avatar_url],
+        ['banner', user.banner_url]
+      ];
+      return images
+        .filter(([, url]) => url && /^https?:\/\//.test(url))
+        .map(([kind, url]) => ({ url, kind, ownerId: username }));
+    });
+  }
+
+  /**
+   * 归档一批媒体链接
+   * 已归档或失败次数达到 maxAttempts 的链接直接跳过
+   * @param {Array<Object>} references - [{ url, kind, ownerId }]
+   * @returns {Promise<Object>} { archived, deduplicated, skipped, failed, bytes }
+   */
+  async archive(references) {
+    const stats = { archived: 0, deduplicated: 0, skipped: 0, failed: 0, bytes: 0 };
+    if (!references || references.length === 0) return stats;
+
+    const byHash = new Map();
+    references.forEach(ref => {
+      const urlHash = sha256Hex(ref.url);
+      if (!byHash.has(urlHash)) byHash.set(urlHash, { ...ref, urlHash });
+    });
+
+    const existing = await this.database.getMediaArchiveStatus([...byHash.keys()]);
+    const pending = [...byHash.values()].filter(ref => {
+      const previous = existing.get(ref.urlHash);
+      return !previous || (previous.status !== 'archived' && previous.attempts < this.options.maxAttempts);
+    });
+    stats.skipped = byHash.size - pending.length;
+
+    // 固定数量的 worker 依次领取待下载的链接
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const ref = pending[next++];
+        const result = await this.archiveOne(ref);
+        stats[result.status]++;
+        stats.bytes += result.bytes;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, this.options.concurrency) }, worker));
+
+    return stats;
+  }
+
+  /**
+   * 下载并归档单个链接，失败时记录错误 (不抛出)
+   * @returns {Promise<Object>} { status: 'archived'|'deduplicated'|'failed', bytes }
+   */
+  async archiveOne(ref) {
+    try {
+      const { buffer, mimeType } = await this.download(ref.url);
+      const sha256 = sha256Hex(buffer);
+
+      let status = 'deduplicated';
+      if (!await this.database.getMediaFile(sha256)) {
+        const extension = MIME_EXTENSIONS[mimeType] || this.urlExtension(ref.url) || 'bin';
+        const storageKey = `${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}.${extension}`;
+
+        if (!await this.store.exists(storageKey)) {
+          await this.store.put(storageKey, buffer, mimeType);
+        }
+        await this.database.recordMediaFile({
+          sha256,
+          size: buffer.length,
+          mimeType,
+          storage: this.store.name,
+          storageKey
+        });
+        status = 'archived';
+      }
+
+      await this.database.recordMediaArchive({ ...ref, sha256, status: 'archived' });
+      return { status, bytes: status === 'archived' ? buffer.length : 0 };
+    } catch (error) {
+      console.warn(`    ⚠️  媒体归档失败 ${ref.url}: ${error.message}`);
+      await this.database.recordMediaArchive({ ...ref, status: 'failed', errorMessage: error.message });
+      return { status: 'failed', bytes: 0 };
+    }
+  }
+
+  /**
+   * 下载文件 (超时和大小受 timeout/maxBytes 限制)
+   * @returns {Promise<Object>} { buffer, mimeType }
+   */
+  async download(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.options.timeout) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length'));
+    if (declaredSize > this.options.maxBytes) {
+      throw new Error(`文件过大 (${declaredSize} 字节)`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > this.options.maxBytes) {
+      throw new Error(`文件过大 (${buffer.length} 字节)`);
+    }
+
+    let mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!mimeType || mimeType === 'application/octet-stream') {
+      mimeType = EXTENSION_MIMES[this.urlExtension(url)] || mimeType || null;
+    }
+
+    return { buffer, mimeType };
+  }
+
+  /**
+   * 从链接路径或 format 参数 (pbs.twimg.com/media/xxx?format=jpg) 中取扩展名
+   */
+  urlExtension(url) {
+    try {
+      const parsed = new URL(url);
+      const format = parsed.searchParams.get('format');
+      const match = parsed.pathname.match(/\.([a-z0-9]{2,5})$/i);
+      const extension = (format || (match && match[1]) || '').toLowerCase();
+      return EXTENSION_MIMES[extension] ? extension : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default MediaArchiver;
@@ -0,0 +1,29 @@
+import { DatabaseManager } from './DatabaseManager.js';
+import { Migrator } from './Migrator.js';
+
+/**
+ * 内存数据库 - 基于 SQLite :memory: 的 DatabaseManager
+ * 与正式环境执行同一套 SQL 和迁移脚本，不需要网络或 MySQL 服务，用于单元测试和本地调试
+ * 每个实例是一份独立的空库，close() 后数据即丢弃
+ *
+ * 用法:
+ *   const database = new MemoryDatabase();
+ *   await database.init();  // 连接并执行全部迁移
+ */
+export class MemoryDatabase extends DatabaseManager {
+  constructor(config = {}) {
+    super({ ...config, url: 'sqlite::memory:' });
+  }
+
+  /**
+   * 初始化连接并执行全部迁移
+   */
+  async init() {
+    if (this.pool) return;
+
+    await super.init();
+    await new Migrator(this).up();
+  }
+}
+
+export default MemoryDatabase;
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 数据库迁移管理器
+ * 按版本号顺序执行 src/migrations 下的迁移脚本，并记录到 schema_migrations 表
+ *
+ * 迁移脚本命名: {版本号}_{描述}.js，例如 001_initial_schema.js
+ * 每个脚本导出 up(db) / down(db)，db 提供 query / hasColumn / hasIndex / createIndex / dropIndex
+ * 以及 db.types (按数据库方言给出的列类型)，使同一份脚本可用于 MySQL 和 SQLite
+ */
+export class Migrator {
+  constructor(database, migrationsDir = null) {
+    this.database = database;  // DatabaseManager 实例
+    this.migrationsDir = migrationsDir || path.resolve(__dirname, '../migrations');
+  }
+
+  /**
+   * 确保迁移记录表存在
+   */
+  async ensureMigrationsTable(connection) {
+    await connection.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(32) NOT NULL PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         applied_at ${this.database.dialect.types.createdAt}
+       )`
+    );
+  }
+
+  /**
+   * 读取全部迁移脚本 (按版本号升序)
+   * @returns {Promise<Array>} [{ version, name, file, up, down }]
+   */
+  async loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      throw new Error(`迁移目录不存在: ${this.migrationsDir}`);
+    }
+
+    const files = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_.+\.js$/.test(file))
+      .sort();
+
+    const migrations = [];
+    for (const file of files) {
+      const [, version, name] = file.match(/^(\d+)_(.+)\.js$/);
+      const module = await import(pathToFileURL(path.join(this.migrationsDir, file)).href);
+
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`迁移脚本必须导出 up 和 down: ${file}`);
+      }
+
+      migrations.push({ version, name, file, up: module.up, down: module.down });
+    }
+
+    return migrations;
+  }
+
+  /**
+   * 获取已执行的迁移版本
+   * @returns {Promise<Map>} version -> applied_at
+   */
+  async getAppliedVersions(connection) {
+    const [rows] = await connection.query(
+      'SELECT version, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+  }
+
+  /**
+   * 构造传给迁移脚本的上下文
+   */
+  createContext(connection) {
+    const dialect = this.database.dialect;
+    const schema = this.database.config.database;
+
+    const context = {
+      dialect: dialect.name,
+      types: dialect.types,
+
+      query: (sql, params) => connection.query(sql, params),
+
+      hasColumn: (table, column) => dialect.hasColumn(connection, schema, table, column),
+
+      hasIndex: (table, index) => dialect.hasIndex(connection, schema, table, index),
+
+      // 索引单独创建 (SQLite 不支持在 CREATE TABLE 内联 KEY)，已存在则跳过
+      createIndex: async (table, index, columns, { unique = false } = {}) => {
+        if (await context.hasIndex(table, index)) return;
+        await connection.query(
+          `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${index} ON ${table} (${columns.join(', ')})`
+        );
+      },
+
+      dropIndex: async (table, index) => {
+        if (!(await context.hasIndex(table, index))) return;
+        await connection.query(dialect.dropIndex(table, index));
+      }
+    };
+
+    return context;
+  }
+
+  /**
+   * 查看迁移状态
+   * @returns {Promise<Array>} [{ version, name, applied, appliedAt }]
+   */
+  async status() {
+    const connection = await this.database.getConnection();
+
+    try {
+      await this.ensureMigrationsTable(connection);
+      const migrations = await this.loadMigrations();
+      const applied = await this.getAppliedVersions(connection);
+
+      return migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: this.database.parseStoredDate(applied.get(m.version))
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 执行所有未执行的迁移
+   * @param {string|number} targetVersion - 只迁移到该版本 (含，按数值比较，2 与 002 相同)，默认全部
+   * @returns {Promise<Array>} 本次执行的迁移版本
+   */
+  async up(targetVersion = null) {
+    const connection = await this.database.getConnection();
+    const executed = [];
+
+    try {
+      await this.ensureMigrationsTable(connection);
+      const migrations = await this.loadMigrations();
+      const applied = await this.getAppliedVersions(connection);
+      const context = this.createContext(connection);
+
+      const pending = migrations.filter(m =>
+        !applied.has(m.version) && (!targetVersion || Number(m.version) <= Number(targetVersion))
+      );
+
+      if (pending.length === 0) {
+        console.log('✅ 数据库已是最新版本');
+        return executed;
+      }
+
+      for (const migration of pending) {
+        console.log(`⬆️  执行迁移 ${migration.version}_${migration.name}...`);
+        await migration.up(context);
+        await connection.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        executed.push(migration.version);
+      }
+
+      console.log(`✅ 完成 ${executed.length} 个迁移`);
+      return executed;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 回滚最近执行的迁移
+   * @param {number} steps - 回滚步数
+   * @returns {Promise<Array>} 本次回滚的迁移版本
+   */
+  async down(steps = 1) {
+    const connection = await this.database.getConnection();
+    const reverted = [];
+
+    try {
+      await this.ensureMigrationsTable(connection);
+      const migrations = await this.loadMigrations();
+      const applied = await this.getAppliedVersions(connection);
+      const context = this.createContext(connection);
+
+      const toRevert = migrations
+        .filter(m => applied.has(m.version))
+        .reverse()
+        .slice(0, steps);
+
+      if (toRevert.length === 0) {
+        console.log('⚠️  没有可回滚的迁移');
+        return reverted;
+      }
+
+      for (const migration of toRevert) {
+        console.log(`⬇️  回滚迁移 ${migration.version}_${migration.name}...`);
+        await migration.down(context);
+        await connection.query(
+          'DELETE FROM schema_migrations WHERE version = ?',
+          [migration.version]
+        );
+        reverted.push(migration.version);
+      }
+
+      console.log(`✅ 回滚 ${reverted.length} 个迁移`);
+      return reverted;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default Migrator;
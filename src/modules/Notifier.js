@@ -0,0 +1,405 @@
+import crypto from 'crypto';
+import { ERROR_CATEGORIES, classifyError } from './TaskErrors.js';
+
+/**
+ * Webhook 通知 - 批量任务结束或启动失败时，把结果摘要发送到 Slack / Discord / 飞书 (Lark) 或通用 webhook
+ *
+ * 地址来自 config.notify.webhooks (WEBHOOK_URL，多个用逗号分隔)，格式默认按地址自动识别，
+ * 无法识别的地址按 generic 发送: 摘要字段 + text，便于自建服务或其他 IM 机器人解析
+ * 发送失败 (网络错误、429、5xx) 按指数退避重试，最终失败只记录日志，不影响采集
+ */
+
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'discord', 'feishu'];
+
+// 摘要状态对应的标题和颜色
+const STATUS_STYLES = {
+  success: { title: '✅ 批量采集完成', color: 0x2eb67d, template: 'green' },
+  partial: { title: '⚠️ 批量采集部分失败', color: 0xecb22e, template: 'orange' },
+  failed: { title: '❌ 批量采集失败', color: 0xe01e5a, template: 'red' }
+};
+
+// 计为推文的任务类型 (其余为关注关系)
+const POST_TYPES = ['posts', 'replies', 'tweets'];
+
+/**
+ * 根据 webhook 地址识别格式
+ * @param {string} url - webhook 地址
+ * @returns {string} WEBHOOK_FORMATS 中的值
+ */
+export function detectWebhookFormat(url) {
+  const { hostname, pathname } = new URL(url);
+
+  if (hostname === 'hooks.slack.com') return 'slack';
+  if (/(^|\.)discord(app)?\.com$/.test(hostname) && pathname.startsWith('/api/webhooks/')) return 'discord';
+  if (/(^|\.)(feishu\.cn|larksuite\.com)$/.test(hostname)) return 'feishu';
+  return 'generic';
+}
+
+// 日志中只显示域名，webhook 地址本身就是凭据
+function maskUrl(url) {
+  try {
+    return `${new URL(url).origin}/…`;
+  } catch (error) {
+    return '(无效地址)';
+  }
+}
+
+function truncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+export class Notifier {
+  /**
+   * @param {Object} config - config.notify: { webhooks, format, notifyOn, feishuSecret, maxAttempts, retryDelay, timeout, maxFailedUsers }
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.webhooks = (config.webhooks || []).filter(Boolean);
+  }
+
+  get enabled() {
+    return this.webhooks.length > 0;
+  }
+
+  // ========== 摘要 ==========
+
+  /**
+   * 从 BatchRunner 报告生成摘要
+   * @param {Object} report - BatchRunner.generateReport 的返回值
+   * @param {Object} context - { workerId }
+   * @returns {Object} 摘要 (generic 格式直接发送该对象)
+   */
+  buildSummary(report, context = {}) {
+    const results = report.results || [];
+    const failures = results.filter(r => r.status === 'error');
+    const loginFailure = failures.find(r => r.errorCategory === ERROR_CATEGORIES.AUTH);
+    const sum = (rows, field) => rows.reduce((total, r) => total + (r[field] || 0), 0);
+    const maxFailedUsers = this.config.maxFailedUsers || 10;
+
+    let status = 'success';
+    if (report.globalError || (failures.length > 0 && report.successCount === 0)) {
+      status = 'failed';
+    } else if (failures.length > 0) {
+      status = 'partial';
+    }
+
+    return {
+      event: 'batch.finished',
+      status,
+      runId: report.runId ?? null,
+      workerId: context.workerId || null,
+      startTime: report.startTime,
+      endTime: report.endTime,
+      duration: report.duration,
+      totalTasks: report.totalUsers || 0,
+      successCount: report.successCount || 0,
+      errorCount: report.errorCount || 0,
+      newPosts: sum(results.filter(r => POST_TYPES.includes(r.type)), 'newDataCount'),
+      newRelations: sum(results.filter(r => !POST_TYPES.includes(r.type)), 'newDataCount'),
+      removedRelations: sum(results, 'removedDataCount'),
+      rejectedRows: report.totalRejectedData || 0,
+      suspectedDeleted: (report.suspectedDeleted || []).length,
+      errorCategories: report.errorCategories || {},
+      loginProblem: loginFailure ? loginFailure.error : null,
+      failingUsers: failures.slice(0, maxFailedUsers).map(r => ({
+        username: r.username,
+        type: r.type,
+        category: r.errorCategory || 'unknown',
+        error: r.error,
+        disabled: Boolean(r.disabled)
+      })),
+      moreFailures: Math.max(failures.length - maxFailedUsers, 0),
+      disabledTasks: report.disabledTasks || [],
+      globalError: report.globalError || null,
+      runUrl: this.getRunUrl()
+    };
+  }
+
+  /**
+   * 启动阶段 (初始化、登录) 失败时的摘要，此时还没有任何任务结果
+   */
+  buildErrorSummary(error, context = {}) {
+    const message = error?.message || String(error);
+    const now = new Date().toISOString();
+
+    return {
+      ...this.buildSummary({ results: [], startTime: now, endTime: now, globalError: message }, context),
+      event: 'batch.error',
+      loginProblem: classifyError(error) === ERROR_CATEGORIES.AUTH ? message : null
+    };
+  }
+
+  /**
+   * GitHub Actions 运行日志地址 (本地运行时为 null)
+   */
+  getRunUrl() {
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+    if (!GITHUB_REPOSITORY || !GITHUB_RUN_ID) return null;
+    return `${GITHUB_SERVER_URL || 'https://github.com'}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+  }
+
+  /**
+   * 摘要标题
+   */
+  formatTitle(summary) {
+    const runText = summary.runId ? ` #${summary.runId}` : '';
+    return `${STATUS_STYLES[summary.status].title}${runText}`;
+  }
+
+  /**
+   * 摘要正文 (纯文本，各格式共用)
+   * @returns {Array<string>} 行
+   */
+  formatLines(summary) {
+    const lines = [];
+
+    if (summary.event === 'batch.finished') {
+      lines.push(`任务: 成功 ${summary.successCount} / 失败 ${summary.errorCount} (共 ${summary.totalTasks})`);
+      lines.push(`新增推文: ${summary.newPosts}，新增关注关系: ${summary.newRelations}，取关: ${summary.removedRelations}`);
+    }
+    if (summary.rejectedRows > 0) {
+      lines.push(`隔离数据: ${summary.rejectedRows} 行未通过校验`);
+    }
+    if (summary.suspectedDeleted > 0) {
+      lines.push(`疑似删除: ${summary.suspectedDeleted} 条推文`);
+    }
+    if (summary.loginProblem) {
+      lines.push(`🔐 登录失效: ${truncate(summary.loginProblem, 200)} (需要更新 TWITTER_COOKIES_JSON 或账号配置)`);
+    }
+    if (summary.globalError && summary.globalError !== summary.loginProblem) {
+      lines.push(`错误: ${truncate(summary.globalError, 300)}`);
+    }
+
+    if (summary.failingUsers.length > 0) {
+      lines.push('', '失败用户:');
+      for (const user of summary.failingUsers) {
+        const disabled = user.disabled ? ' ⛔ 已自动禁用' : '';
+        lines.push(`• @${user.username} (${user.type}) [${user.category}] ${truncate(user.error, 120)}${disabled}`);
+      }
+      if (summary.moreFailures > 0) {
+        lines.push(`… 另有 ${summary.moreFailures} 个失败任务`);
+      }
+    }
+
+    const footer = [summary.duration && `耗时 ${summary.duration}`, summary.workerId && `runner ${summary.workerId}`]
+      .filter(Boolean)
+      .join(' · ');
+    if (footer) {
+      lines.push('', footer);
+    }
+
+    return lines;
+  }
+
+  // ========== 消息格式 ==========
+
+  /**
+   * 按 webhook 格式生成请求体
+   * @param {string} format - WEBHOOK_FORMATS 中的值
+   * @param {Object} summary - buildSummary / buildErrorSummary 的返回值
+   */
+  formatPayload(format, summary) {
+    const title = this.formatTitle(summary);
+    const text = this.formatLines(summary).join('\n');
+
+    switch (format) {
+      case 'slack':
+        return this.formatSlack(summary, title, text);
+      case 'discord':
+        return this.formatDiscord(summary, title, text);
+      case 'feishu':
+        return this.formatFeishu(summary, title, text);
+      default:
+        return { ...summary, text: `${title}\n${text}` };
+    }
+  }
+
+  /**
+   * Slack Incoming Webhook (Block Kit)，text 用于通知预览
+   */
+  formatSlack(summary, title, text) {
+    const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(title, 150) } },
+      { type: 'section', text: { type: 'mrkdwn', text: truncate(escape(text), 3000) } }
+    ];
+
+    if (summary.runUrl) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${summary.runUrl}|查看运行日志>` }] });
+    }
+
+    return { text: title, blocks };
+  }
+
+  /**
+   * Discord Webhook (embed)
+   */
+  formatDiscord(summary, title, text) {
+    return {
+      embeds: [{
+        title: truncate(title, 256),
+        description: truncate(text, 4096),
+        color: STATUS_STYLES[summary.status].color,
+        url: summary.runUrl || undefined,
+        timestamp: summary.endTime
+      }]
+    };
+  }
+
+  /**
+   * 飞书 / Lark 自定义机器人 (消息卡片)，配置了签名密钥时附带 timestamp 和 sign
+   */
+  formatFeishu(summary, title, text) {
+    const elements = [{ tag: 'div', text: { tag: 'lark_md', content: text } }];
+
+    if (summary.runUrl) {
+      elements.push({
+        tag: 'action',
+        actions: [{ tag: 'button', text: { tag: 'plain_text', content: '查看运行日志' }, url: summary.runUrl, type: 'default' }]
+      });
+    }
+
+    const payload = {
+      msg_type: 'interactive',
+      card: {
+        config: { wide_screen_mode: true },
+        header: { title: { tag: 'plain_text', content: title }, template: STATUS_STYLES[summary.status].template },
+        elements
+      }
+    };
+
+    if (this.config.feishuSecret) {
+      // 签名: HMAC-SHA256，以 "timestamp\nsecret" 为密钥、空字符串为消息
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      payload.timestamp = timestamp;
+      payload.sign = crypto.createHmac('sha256', `${timestamp}\n${this.config.feishuSecret}`).update('').digest('base64');
+    }
+
+    return payload;
+  }
+
+  // ========== 发送 ==========
+
+  /**
+   * 批量任务结束后发送摘要
+   * 没有执行任何任务且没有错误时不发送；notifyOn = 'problems' 时只在有失败时发送
+   * @returns {Promise<number>} 发送成功的 webhook 数
+   */
+  async notifyBatch(report, context = {}) {
+    if (!this.enabled) return 0;
+
+    const summary = this.buildSummary(report, context);
+    if (summary.totalTasks === 0 && !summary.globalError) {
+      return 0;
+    }
+    if (this.config.notifyOn === 'problems' && summary.status === 'success') {
+      return 0;
+    }
+
+    return await this.send(summary);
+  }
+
+  /**
+   * 启动阶段失败时发送通知 (总是发送)
+   * @returns {Promise<number>} 发送成功的 webhook 数
+   */
+  async notifyError(error, context = {}) {
+    if (!this.enabled) return 0;
+    return await this.send(this.buildErrorSummary(error, context));
+  }
+
+  /**
+   * 发送到全部 webhook
+   * @returns {Promise<number>} 发送成功的 webhook 数
+   */
+  async send(summary) {
+    let delivered = 0;
+
+    for (const url of this.webhooks) {
+      let format;
+      try {
+        format = this.config.format && this.config.format !== 'auto' ? this.config.format : detectWebhookFormat(url);
+      } catch (error) {
+        console.warn(`⚠️  无效的 webhook 地址: ${maskUrl(url)}`);
+        continue;
+      }
+
+      if (await this.post(url, format, this.formatPayload(format, summary))) {
+        delivered++;
+        console.log(`📣 已发送通知 (${format}): ${maskUrl(url)}`);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * 发送单个请求，网络错误、429 和 5xx 按指数退避重试 (429 优先使用 Retry-After)
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async post(url, format, payload) {
+    const maxAttempts = this.config.maxAttempts || 3;
+    const retryDelay = this.config.retryDelay ?? 2000;
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let retryAfter = null;
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          signal: AbortSignal.timeout(this.config.timeout || 10000)
+        });
+        const text = await response.text();
+
+        if (response.ok) {
+          // 飞书出错时 HTTP 状态仍为 200，错误码在响应体中 (签名错误、关键词不匹配等，重试无效)
+          const result = format === 'feishu' ? this.parseJson(text) : null;
+          if (result && result.code && result.code !== 0) {
+            console.warn(`⚠️  通知被拒绝 (${format}): ${maskUrl(url)} - ${result.code} ${result.msg || ''}`);
+            return false;
+          }
+          return true;
+        }
+
+        if (response.status !== 429 && response.status < 500) {
+          console.warn(`⚠️  通知发送失败 (${format}): ${maskUrl(url)} - HTTP ${response.status} ${truncate(text, 200)}`);
+          return false;
+        }
+
+        retryAfter = Number(response.headers.get('retry-after')) || null;
+        if (attempt < maxAttempts) {
+          console.warn(`⚠️  通知发送失败 HTTP ${response.status}，重试 ${attempt}/${maxAttempts - 1}`);
+        } else {
+          console.warn(`⚠️  通知发送失败 (${format}): ${maskUrl(url)} - HTTP ${response.status}，已重试 ${maxAttempts - 1} 次`);
+        }
+      } catch (error) {
+        if (attempt < maxAttempts) {
+          console.warn(`⚠️  通知发送失败: ${error.message}，重试 ${attempt}/${maxAttempts - 1}`);
+        } else {
+          console.warn(`⚠️  通知发送失败 (${format}): ${maskUrl(url)} - ${error.message}，已重试 ${maxAttempts - 1} 次`);
+        }
+      }
+
+      if (attempt < maxAttempts) {
+        const delay = retryAfter ? Math.min(retryAfter, 60) * 1000 : retryDelay * 2 ** (attempt - 1);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return false;
+  }
+
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export default Notifier;
@@ -0,0 +1,94 @@
+/**
+ * 推文实体解析 - 从 hashtags/urls/media_urls 字段和正文中提取话题、链接和提及
+ * 结果写入 post_hashtags / post_urls / post_mentions (见 DatabaseManager.replacePostEntities)
+ */
+
+// 话题: 字母、数字、下划线 (支持中文等非拉丁字符)
+const HASHTAG_PATTERN = /#([\p{L}\p{N}_]+)/gu;
+
+// 提及: @ 前不能是字母数字 (排除邮箱)，用户名 1-15 位
+const MENTION_PATTERN = /(?:^|[^A-Za-z0-9_])@([A-Za-z0-9_]{1,15})/g;
+
+const URL_PATTERN = /https?:\/\/[^\s,"'<>]+/g;
+
+// 话题和链接的最大长度 (与表结构一致)
+const MAX_TAG_LENGTH = 140;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * 提取链接的域名 (小写，去掉 www.)
+ * @param {string} url - 链接
+ * @returns {string|null} 域名，无法解析时返回 null
+ */
+export function extractDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 解析话题字段 ("#a, #b" 或 "a, b")，与正文中的话题合并去重
+ */
+function parseHashtags(field, text) {
+  const tags = [];
+
+  if (field) {
+    const value = String(field);
+    const matches = [...value.matchAll(HASHTAG_PATTERN)].map(m => m[1]);
+    tags.push(...(matches.length > 0 ? matches : value.split(/[\s,]+/)));
+  }
+
+  if (text) {
+    tags.push(...[...String(text).matchAll(HASHTAG_PATTERN)].map(m => m[1]));
+  }
+
+  // 话题不区分大小写，统一存小写
+  const unique = new Set(
+    tags.map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+      .filter(tag => tag && tag.length <= MAX_TAG_LENGTH)
+  );
+  return [...unique];
+}
+
+/**
+ * 解析链接字段 (换行、逗号或空格分隔)
+ */
+function parseUrls(field, kind) {
+  if (!field) return [];
+
+  return [...new Set(String(field).match(URL_PATTERN) || [])]
+    .filter(url => url.length <= MAX_URL_LENGTH)
+    .map(url => ({ url, domain: extractDomain(url), kind }));
+}
+
+/**
+ * 解析正文中的 @提及
+ */
+function parseMentions(text) {
+  if (!text) return [];
+
+  const usernames = [...String(text).matchAll(MENTION_PATTERN)].map(m => m[1].toLowerCase());
+  return [...new Set(usernames)];
+}
+
+/**
+ * 提取一条推文的实体
+ * @param {Object} post - { text, hashtags, urls, media_urls }
+ * @returns {{ hashtags: Array<string>, urls: Array<Object>, mentions: Array<string> }}
+ */
+export function extractPostEntities(post) {
+  const urls = [
+    ...parseUrls(post.urls, 'link'),
+    ...parseUrls(post.media_urls, 'media')
+  ];
+
+  return {
+    hashtags: parseHashtags(post.hashtags, post.text),
+    urls,
+    mentions: parseMentions(post.text)
+  };
+}
+
+export default extractPostEntities;
@@ -0,0 +1,124 @@
+import pg from 'pg';
+
+// PostgreSQL 类型 OID
+const PG_INT8 = 20;
+const PG_NUMERIC = 1700;
+const PG_TIMESTAMP = 1114;
+
+/**
+ * 类型解析: BIGINT/NUMERIC 转为数字，TIMESTAMP (无时区) 按 UTC 解析
+ * 与 mysql2 返回值保持一致，DatabaseManager 无需区分
+ */
+const types = {
+  getTypeParser(oid, format) {
+    if (oid === PG_INT8) return value => parseInt(value, 10);
+    if (oid === PG_NUMERIC) return value => parseFloat(value);
+    if (oid === PG_TIMESTAMP) return value => new Date(value.replace(' ', 'T') + 'Z');
+    return pg.types.getTypeParser(oid, format);
+  }
+};
+
+/**
+ * PostgreSQL 驱动 - 以 mysql2 连接池的接口包装 pg.Pool
+ * 接口约定见 SqliteDriver.js
+ */
+export class PostgresPool {
+  constructor(config) {
+    this.pool = new pg.Pool({
+      connectionString: config.connectionString,
+      max: config.connectionLimit || 10,
+      ssl: config.ssl,
+      types,
+      // 会话时区固定为 UTC，与 calculateNextRunTime 等写入的 UTC 时间一致
+      options: '-c timezone=UTC'
+    });
+  }
+
+  async getConnection() {
+    const client = await this.pool.connect();
+    return new PostgresConnection(client);
+  }
+
+  async end() {
+    await this.pool.end();
+  }
+}
+
+/**
+ * 单个连接 - 负责占位符转换和返回值格式适配
+ */
+export class PostgresConnection {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * 执行 SQL，返回值格式与 mysql2 保持一致
+   */
+  async query(sql, params = []) {
+    const result = await this.client.query(this.convertPlaceholders(sql), params);
+
+    if (result.command === 'SELECT') {
+      return [result.rows];
+    }
+
+    // INSERT ... RETURNING id (见 SqlDialect.returningId) 时返回插入/更新行的 ID
+    const insertId = result.command === 'INSERT' && result.rows.length > 0
+      ? result.rows[0].id
+      : 0;
+
+    return [{
+      affectedRows: result.rowCount,
+      insertId
+    }];
+  }
+
+  /**
+   * 将 ? 占位符转换为 $1, $2 ... (跳过字符串字面量中的 ?)
+   */
+  convertPlaceholders(sql) {
+    let index = 0;
+    let inString = false;
+    let output = '';
+
+    for (const char of sql) {
+      if (char === "'") {
+        inString = !inString;
+      }
+
+      if (char === '?' && !inString) {
+        index++;
+        output += `$${index}`;
+      } else {
+        output += char;
+      }
+    }
+
+    return output;
+  }
+
+  async beginTransaction() {
+    await this.client.query('BEGIN');
+  }
+
+  async commit() {
+    await this.client.query('COMMIT');
+  }
+
+  async rollback() {
+    await this.client.query('ROLLBACK');
+  }
+
+  release() {
+    this.client.release();
+  }
+
+  /**
+   * 关闭连接而不放回连接池 (连接已断开或状态未知时)
+   */
+  destroy() {
+    this.client.release(true);
+  }
+}
+
+export default PostgresPool;
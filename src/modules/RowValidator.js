@@ -0,0 +1,164 @@
+/**
+ * 导出数据校验 - 按任务类型检查 ColumnMapper 转换后的每一行，不合格的行连同原因交给调用方隔离
+ *
+ * 插件改版后表头可能改名或缺失，入库时取不到的字段会被静默写成 NULL/0，
+ * 因此先检查必需的字段是否存在，再逐行检查 ID、计数和日期的格式
+ *
+ * 字段定义:
+ * - field: 标准字段 (见 ColumnMapper.CANONICAL_FIELDS)
+ * - kind: 值的类型 (id/text/count/date/boolean/url/username)
+ * - required: 值不能为空 (默认允许为空)
+ * - optional: 字段可以不存在 (默认必须存在)
+ */
+
+const POST_SCHEMA = [
+  { field: 'tweet_id', kind: 'id', required: true },
+  { field: 'text', kind: 'text' },  // 纯图片/视频推文正文为空
+  { field: 'type', kind: 'text', required: true },
+  { field: 'published_at', kind: 'date', required: true },
+  { field: 'reply_count', kind: 'count' },
+  { field: 'retweet_count', kind: 'count' },
+  { field: 'favorite_count', kind: 'count' },
+  { field: 'view_count', kind: 'count', optional: true },
+  { field: 'quote_count', kind: 'count', optional: true },
+  { field: 'bookmark_count', kind: 'count', optional: true },
+  { field: 'tweet_url', kind: 'url', optional: true },
+  { field: 'author_username', kind: 'username', optional: true }
+];
+
+const USER_SCHEMA = [
+  { field: 'user_id', kind: 'id', required: true },
+  { field: 'username', kind: 'username', required: true },
+  { field: 'name', kind: 'text' },
+  { field: 'followers_count', kind: 'count' },
+  { field: 'following_count', kind: 'count' },
+  { field: 'tweets_count', kind: 'count', optional: true },
+  { field: 'verified', kind: 'boolean', optional: true },
+  { field: 'is_blue_verified', kind: 'boolean', optional: true },
+  { field: 'avatar_url', kind: 'url', optional: true },
+  { field: 'banner_url', kind: 'url', optional: true }
+];
+
+export const ROW_SCHEMAS = {
+  posts: POST_SCHEMA,
+  replies: POST_SCHEMA,
+  tweets: POST_SCHEMA,
+  followers: USER_SCHEMA,
+  following: USER_SCHEMA
+};
+
+// 各类型的值检查，返回错误说明，合格时返回 null
+const KIND_CHECKS = {
+  id: value => /^\d+$/.test(value) ? null : '不是数字ID',
+  text: () => null,
+  count: value => /^\d+$/.test(value) ? null : '不是非负整数',
+  date: value => isNaN(new Date(value).getTime()) ? '无法解析的日期' : null,
+  boolean: value => /^(true|false|0|1)$/i.test(value) ? null : '不是布尔值',
+  url: value => /^https?:\/\/\S+$/i.test(value) ? null : '不是有效链接',
+  username: value => /^@?[A-Za-z0-9_]{1,50}$/.test(value) ? null : '不是有效用户名'
+};
+
+export class RowValidator {
+  /**
+   * @param {Object} schemas - 任务类型 -> 字段定义，默认 ROW_SCHEMAS
+   */
+  constructor(schemas = ROW_SCHEMAS) {
+    this.schemas = schemas;
+  }
+
+  /**
+   * 本次导出缺少的必需字段 (所有行都没有该字段)
+   */
+  findMissingColumns(schema, rows) {
+    const keys = new Set();
+    for (const row of rows) {
+      Object.keys(row || {}).forEach(key => keys.add(key));
+    }
+
+    return schema
+      .filter(field => !field.optional && !keys.has(field.field))
+      .map(field => field.field);
+  }
+
+  /**
+   * 检查单行
+   * @returns {Array<string>} 不合格原因，合格时为空数组
+   */
+  validateRow(schema, row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return ['不是有效的数据行'];
+    }
+
+    const reasons = [];
+    for (const field of schema) {
+      const raw = row[field.field];
+      const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+      if (value === '') {
+        if (field.required) reasons.push(`${field.field}: 缺失`);
+        continue;
+      }
+
+      const error = KIND_CHECKS[field.kind](value);
+      if (error) {
+        reasons.push(`${field.field}: ${error} (${value.slice(0, 40)})`);
+      }
+    }
+    return reasons;
+  }
+
+  /**
+   * 校验一次导出的所有行
+   * @param {string} type - 任务类型 (posts/replies/followers/following)
+   * @param {Array} rows - ColumnMapper 转换后的导出数据
+   * @returns {Object} { valid, rejected: [{ index, row, reasons }], missingColumns }
+   *          缺少必需字段时所有行都不合格；未知类型不做检查
+   */
+  validate(type, rows) {
+    const schema = this.schemas[type];
+    if (!schema || !rows || rows.length === 0) {
+      return { valid: rows || [], rejected: [], missingColumns: [] };
+    }
+
+    const missingColumns = this.findMissingColumns(schema, rows);
+    const valid = [];
+    const rejected = [];
+
+    rows.forEach((row, index) => {
+      const reasons = missingColumns.length > 0
+        ? missingColumns.map(field => `${field}: 导出中没有该列`)
+        : this.validateRow(schema, row);
+
+      if (reasons.length > 0) {
+        rejected.push({ index, row, reasons });
+      } else {
+        valid.push(row);
+      }
+    });
+
+    return { valid, rejected, missingColumns };
+  }
+
+  /**
+   * 汇总最常见的不合格原因 (用于日志和错误信息)
+   * @param {Array} rejected - validate 返回的 rejected
+   * @param {number} limit - 最多返回几条
+   * @returns {Array<string>} 如 ['published_at: 无法解析的日期 × 12']
+   */
+  summarize(rejected, limit = 3) {
+    const counts = new Map();
+    for (const { reasons } of rejected) {
+      for (const reason of reasons) {
+        const key = reason.replace(/\s*\(.*\)$/, '');
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+    }
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([reason, count]) => `${reason} × ${count}`);
+  }
+}
+
+export default RowValidator;
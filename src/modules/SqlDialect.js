@@ -0,0 +1,170 @@
+/**
+ * SQL 方言 - 屏蔽不同数据库之间的语法差异
+ * DatabaseManager 和迁移脚本只通过这里拼接非标准 SQL 片段
+ */
+
+// MySQL/TiDB 可重试的错误码: 死锁、锁等待超时，TiDB 写冲突、事务重试和 schema 变更
+// 这些错误发生时数据库已经回滚了事务；PD/TiKV 超时等错误可能发生在提交过程中，结果未知，不重试
+const MYSQL_RETRYABLE_ERRNOS = [1205, 1213, 8002, 8022, 8028, 9007];
+
+// 连接中断: 可能发生在 COMMIT 之后、收到响应之前 (事务也许已经提交)，不能重试，连接也不能放回连接池
+const CONNECTION_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'PROTOCOL_CONNECTION_LOST'];
+
+const mysqlDialect = {
+  name: 'mysql',
+
+  // ORDER BY 随机函数
+  random: 'RAND()',
+
+  // INSERT 忽略重复: `${insertIgnore} INTO t (...) VALUES ... ${onConflictIgnore}`
+  insertIgnore: 'INSERT IGNORE',
+  onConflictIgnore: '',
+
+  // Upsert: `INSERT ... VALUES ... ${upsert(['tweet_id'])} col = ${excluded('col')}`
+  upsert: () => 'ON DUPLICATE KEY UPDATE',
+  excluded: column => `VALUES(${column})`,
+
+  // INSERT 语句末尾追加，让驱动返回插入/更新行的 ID (MySQL/SQLite 直接使用 insertId)
+  returningId: '',
+
+  // 迁移脚本使用的列类型
+  types: {
+    id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
+    datetime: 'DATETIME',
+    createdAt: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    updatedAt: 'DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+    tableOptions: 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+  },
+
+  async hasColumn(connection, schema, table, column) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [schema, table, column]
+    );
+    return rows.length > 0;
+  },
+
+  async hasIndex(connection, schema, table, index) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [schema, table, index]
+    );
+    return rows.length > 0;
+  },
+
+  dropIndex: (table, index) => `DROP INDEX ${index} ON ${table}`,
+
+  // 事务失败后整体重试是否可能成功 (只包括数据库确认已回滚的冲突)
+  isRetryableError: error => MYSQL_RETRYABLE_ERRNOS.includes(error?.errno),
+
+  // 连接是否已不可用 (销毁而不是放回连接池)
+  isFatalError: error => Boolean(error?.fatal) || CONNECTION_ERROR_CODES.includes(error?.code)
+};
+
+const sqliteDialect = {
+  ...mysqlDialect,
+  name: 'sqlite',
+
+  random: 'RANDOM()',
+
+  insertIgnore: 'INSERT OR IGNORE',
+
+  upsert: conflictColumns => `ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET`,
+  excluded: column => `excluded.${column}`,
+
+  types: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    datetime: 'DATETIME',
+    createdAt: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    updatedAt: 'DATETIME DEFAULT CURRENT_TIMESTAMP',
+    tableOptions: ''
+  },
+
+  async hasColumn(connection, schema, table, column) {
+    const [rows] = await connection.query(
+      'SELECT 1 FROM pragma_table_info(?) WHERE name = ?',
+      [table, column]
+    );
+    return rows.length > 0;
+  },
+
+  async hasIndex(connection, schema, table, index) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?`,
+      [table, index]
+    );
+    return rows.length > 0;
+  },
+
+  dropIndex: (table, index) => `DROP INDEX ${index}`,
+
+  // 数据库文件被其他进程锁定 (busy_timeout 之后仍未拿到锁)
+  isRetryableError: error => /^SQLITE_(BUSY|LOCKED)/.test(error?.code || ''),
+
+  // 嵌入式数据库没有连接断开的问题
+  isFatalError: () => false
+};
+
+const postgresDialect = {
+  ...sqliteDialect,
+  name: 'postgres',
+
+  insertIgnore: 'INSERT',
+  onConflictIgnore: 'ON CONFLICT DO NOTHING',
+
+  returningId: 'RETURNING id',
+
+  types: {
+    id: 'BIGSERIAL PRIMARY KEY',
+    datetime: 'TIMESTAMP',
+    createdAt: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    updatedAt: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+    tableOptions: ''
+  },
+
+  async hasColumn(connection, schema, table, column) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  },
+
+  async hasIndex(connection, schema, table, index) {
+    const [rows] = await connection.query(
+      `SELECT 1 FROM pg_indexes
+       WHERE schemaname = current_schema() AND tablename = ? AND indexname = ?`,
+      [table, index]
+    );
+    return rows.length > 0;
+  },
+
+  // serialization_failure / deadlock_detected
+  isRetryableError: error => ['40001', '40P01'].includes(error?.code),
+
+  // 连接异常 (08xxx)、服务端终止连接 (57P01~57P03) 或网络错误
+  isFatalError: error => /^(08|57P0[1-3])/.test(error?.code || '') || CONNECTION_ERROR_CODES.includes(error?.code)
+};
+
+const dialects = {
+  mysql: mysqlDialect,
+  sqlite: sqliteDialect,
+  postgres: postgresDialect
+};
+
+/**
+ * 根据客户端类型获取方言
+ * @param {string} client - 'mysql' | 'sqlite' | 'postgres'
+ */
+export function getDialect(client = 'mysql') {
+  const dialect = dialects[client];
+  if (!dialect) {
+    throw new Error(`不支持的数据库类型: ${client}`);
+  }
+  return dialect;
+}
+
+export default getDialect;
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite 驱动 - 以 mysql2 连接池的接口包装 better-sqlite3
+ *
+ * DatabaseManager 只依赖以下接口，任何存储后端实现这些方法即可接入:
+ *   pool.getConnection() -> connection
+ *   pool.end()
+ *   connection.query(sql, params) -> [rows] (查询) 或 [{ affectedRows, insertId }] (写入)
+ *   connection.beginTransaction() / commit() / rollback()
+ *   connection.release()
+ *   connection.destroy() (可选，连接已断开时代替 release)
+ */
+export class SqlitePool {
+  constructor(filename) {
+    this.filename = filename;
+
+    if (filename !== ':memory:') {
+      const dir = path.dirname(filename);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+
+    // 事务锁: 所有连接共享同一个句柄，事务进行中 (BEGIN 到 COMMIT/ROLLBACK 之间) 其他连接的语句
+    // 必须等待，否则会混进这个事务，例如心跳续租的 UPDATE 会随采集事务一起被回滚
+    this.owner = null;
+    this.waiters = [];
+  }
+
+  async getConnection() {
+    return new SqliteConnection(this.db, this);
+  }
+
+  /**
+   * 当前连接能否使用句柄 (没有事务，或事务属于该连接)
+   */
+  isIdleFor(connection) {
+    return !this.owner || this.owner === connection;
+  }
+
+  /**
+   * 等待下一次事务结束 (调用方需要循环重新检查 isIdleFor，检查与执行之间不能有 await)
+   */
+  wait() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * 结束事务: 释放句柄并唤醒等待的连接 (各自重新检查)
+   */
+  unlock(connection) {
+    if (this.owner !== connection) return;
+
+    this.owner = null;
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  async end() {
+    this.db.close();
+  }
+}
+
+/**
+ * 单个 "连接" - SQLite 是嵌入式数据库，所有连接共享同一个句柄
+ */
+export class SqliteConnection {
+  constructor(db, pool) {
+    this.db = db;
+    this.pool = pool;
+  }
+
+  /**
+   * 执行 SQL，返回值格式与 mysql2 保持一致
+   */
+  async query(sql, params = []) {
+    while (!this.pool.isIdleFor(this)) {
+      await this.pool.wait();
+    }
+
+    const statement = this.db.prepare(sql);
+    const values = params.map(value => this.normalizeParam(value));
+
+    if (statement.reader) {
+      return [statement.all(...values)];
+    }
+
+    // 只有本条语句真正插入了新行时才返回 insertId (与 mysql2 的 upsert 行为一致)
+    // upsert 走更新分支时 last_insert_rowid 不变，据此判断；普通 INSERT 不做比较，
+    // 否则新行ID恰好等于上一次插入 (另一张表) 的ID时会被误判为未插入
+    const isUpsert = /\bON\s+CONFLICT\b/i.test(sql);
+    const lastIdBefore = isUpsert ? this.db.prepare('SELECT last_insert_rowid() AS id').get().id : null;
+    const info = statement.run(...values);
+    const insertId = Number(info.lastInsertRowid);
+
+    return [{
+      affectedRows: info.changes,
+      insertId: info.changes > 0 && insertId !== lastIdBefore ? insertId : 0
+    }];
+  }
+
+  /**
+   * better-sqlite3 只接受数字/字符串/Buffer/null，其余类型在这里转换
+   */
+  normalizeParam(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) {
+      // 与 DatabaseManager.parseDateTime 相同的 UTC DATETIME 格式
+      return value.toISOString().slice(0, 19).replace('T', ' ');
+    }
+    return value;
+  }
+
+  async beginTransaction() {
+    while (!this.pool.isIdleFor(this)) {
+      await this.pool.wait();
+    }
+    this.pool.owner = this;
+
+    try {
+      this.db.exec('BEGIN');
+    } catch (error) {
+      this.pool.unlock(this);
+      throw error;
+    }
+  }
+
+  async commit() {
+    // 提交失败时事务仍然打开，由随后的 rollback 释放锁
+    this.db.exec('COMMIT');
+    this.pool.unlock(this);
+  }
+
+  async rollback() {
+    try {
+      if (this.pool.owner === this && this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+    } finally {
+      this.pool.unlock(this);
+    }
+  }
+
+  release() {
+    // 共享句柄，无需归还；未结束的事务在这里回滚，避免锁一直被占用
+    if (this.pool.owner === this) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      this.pool.unlock(this);
+    }
+  }
+}
+
+export default SqlitePool;
@@ -0,0 +1,54 @@
+/**
+ * 采集任务错误分类 - 根据错误信息判断失败原因
+ * BatchRunner 按分类决定退避与自动禁用，批量报告按分类汇总
+ */
+
+export const ERROR_CATEGORIES = {
+  AUTH: 'auth',              // 登录态失效，与具体用户无关
+  NOT_FOUND: 'not-found',    // 用户不存在、改名、被封禁或设为私密
+  TIMEOUT: 'timeout',        // 任务或页面操作超时
+  EXTENSION: 'extension',    // 插件配置、导出或下载文件失败
+  EMPTY_DATA: 'empty-data',  // 导出成功但没有任何数据
+  INVALID_DATA: 'invalid-data',  // 导出数据大量未通过校验，通常是插件导出格式变化
+  UNKNOWN: 'unknown'
+};
+
+// 按顺序匹配，越具体的分类越靠前
+// EMPTY_DATA 会导致自动禁用，只匹配明确的 "没有数据" 提示，不匹配 "Response body is empty" 之类的通用错误
+// (src/batch.js 对空导出直接抛出带 EMPTY_DATA 分类的错误)
+const CATEGORY_PATTERNS = [
+  [ERROR_CATEGORIES.AUTH, /登录|login|cookie|unauthori[sz]ed|\b401\b|\b403\b/i],
+  [ERROR_CATEGORIES.NOT_FOUND, /不存在|已注销|被封|私密|doesn't exist|not found|\b404\b|suspended|protected/i],
+  [ERROR_CATEGORIES.EMPTY_DATA, /未采集到数据|no data/i],
+  [ERROR_CATEGORIES.TIMEOUT, /超时|timeout|timed out/i],
+  [ERROR_CATEGORIES.EXTENSION, /插件|extension|导出|export|下载|download|dashboard/i]
+];
+
+// 可以归咎于用户本身的分类，连续失败达到阈值后自动禁用任务
+export const USER_ERROR_CATEGORIES = [ERROR_CATEGORIES.NOT_FOUND, ERROR_CATEGORIES.EMPTY_DATA];
+
+/**
+ * 判断错误分类
+ * @param {Error|string} error - 错误对象或错误信息 (error.category 已指定时直接使用)
+ * @returns {string} ERROR_CATEGORIES 中的值
+ */
+export function classifyError(error) {
+  if (error?.category) {
+    return error.category;
+  }
+
+  const message = typeof error === 'string' ? error : error?.message || '';
+  const matched = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return matched ? matched[0] : ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * 创建带分类的错误
+ * @param {string} message - 错误信息
+ * @param {string} category - ERROR_CATEGORIES 中的值
+ */
+export function createTaskError(message, category) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
@@ -0,0 +1,375 @@
+/**
+ * 回复关系解析 - 推断 Reply 的父推文和对话根，并导出完整的对话树
+ *
+ * TwExport 的 replies 导出不包含 in_reply_to 字段，只能从以下线索推断:
+ * - @提及: 回复正文以被回复者的 @用户名 开头 (回复自己时没有)
+ * - 作者: author_username，缺失时从 tweet_url (https://x.com/<作者>/status/<id>) 中提取
+ * - 时间: 父推文一定早于回复
+ * - 导出顺序: profile-conversation 模块按 Origin → Reply → Reply 顺序导出，通常上一行就是父推文
+ */
+
+// 可信度 (从高到低)
+export const THREAD_CONFIDENCE = {
+  EXPLICIT: 'explicit',  // 数据源直接提供
+  INFERRED: 'inferred',  // @提及/作者 与时间吻合
+  GUESSED: 'guessed'     // 仅按导出顺序推测
+};
+
+// 正文开头连续的 @提及
+const LEADING_MENTIONS_PATTERN = /^(?:\s*@[A-Za-z0-9_]{1,15})+/;
+
+const TWEET_URL_PATTERN = /\/([A-Za-z0-9_]{1,15})\/status(?:es)?\/(\d+)/;
+
+/**
+ * 从 Tweet URL 中提取作者用户名
+ */
+export function authorFromTweetUrl(url) {
+  const match = url ? String(url).match(TWEET_URL_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+export class ThreadResolver {
+  /**
+   * 提取解析需要的信息 (ColumnMapper 转换后的导出行和数据库行字段相同)
+   */
+  normalize(row, index) {
+    const date = row.published_at ? new Date(row.published_at) : null;
+    const author = row.author_username || authorFromTweetUrl(row.tweet_url);
+    const text = String(row.text || '');
+    const leading = text.match(LEADING_MENTIONS_PATTERN);
+
+    return {
+      row,
+      index,
+      id: String(row.tweet_id),
+      type: String(row.type || ''),
+      author: author ? author.toLowerCase() : null,
+      time: date && !isNaN(date.getTime()) ? date.getTime() : null,
+      mentions: leading ? leading[0].match(/@[A-Za-z0-9_]+/g).map(m => m.slice(1).toLowerCase()) : [],
+      parentId: null,
+      confidence: null
+    };
+  }
+
+  /**
+   * 解析一批导出数据的回复关系，结果写回每一行的
+   * in_reply_to_tweet_id / conversation_id / thread_confidence
+   * 已带有 in_reply_to_tweet_id 的行视为数据源提供 (explicit)，不会被覆盖
+   * @param {Array} rows - 按导出顺序排列的推文
+   * @returns {Object} { explicit, inferred, guessed, unresolved } 各类 Reply 的数量
+   */
+  resolve(rows) {
+    const stats = { explicit: 0, inferred: 0, guessed: 0, unresolved: 0 };
+    const items = rows.map((row, index) => this.normalize(row, index));
+    const byId = new Map(items.map(item => [item.id, item]));
+    const byAuthor = this.indexByAuthor(items);
+
+    for (const item of items) {
+      if (item.row.in_reply_to_tweet_id) {
+        item.parentId = String(item.row.in_reply_to_tweet_id);
+        item.confidence = item.row.thread_confidence || THREAD_CONFIDENCE.EXPLICIT;
+      } else if (item.type.toLowerCase() === 'reply') {
+        this.findParent(item, items, byAuthor);
+      }
+    }
+
+    this.breakCycles(byId);
+
+    for (const item of items) {
+      if (item.type.toLowerCase() === 'reply' || item.parentId) {
+        stats[item.confidence || 'unresolved']++;
+      }
+    }
+
+    // 对话根: 数据源提供的 conversation_id，否则沿父链找到本批次内最上层的推文
+    const roots = this.findRoots(items, byId);
+    for (const item of items) {
+      const root = roots.get(item);
+      const conversationId = item.row.conversation_id || root.row.conversation_id || root.id;
+      item.row.in_reply_to_tweet_id = item.parentId;
+      item.row.conversation_id = conversationId;
+      item.row.thread_confidence = item.confidence;
+    }
+
+    return stats;
+  }
+
+  /**
+   * 断开父链中的环: 同一时间 (导出时间常常只精确到分钟) 互相 @提及的回复会互为父推文，
+   * 环上导出顺序最靠后的一条清除父推文 (计为 unresolved)，环上其余推文以它为对话根
+   */
+  breakCycles(byId) {
+    const state = new Map();  // tweet_id → 'walking' 本次正在走 / 'done' 已确认不在环上
+
+    for (const item of byId.values()) {
+      const path = [];
+      let current = item;
+
+      while (current && !state.has(current.id)) {
+        state.set(current.id, 'walking');
+        path.push(current);
+        current = current.parentId ? byId.get(current.parentId) : null;
+      }
+
+      if (current && state.get(current.id) === 'walking') {
+        const cycle = path.slice(path.indexOf(current));
+        const last = cycle.reduce((latest, node) => (node.index > latest.index ? node : latest));
+        last.parentId = null;
+        last.confidence = null;
+      }
+
+      path.forEach(node => state.set(node.id, 'done'));
+    }
+  }
+
+  /**
+   * 沿父链找到每条推文在本批次内最上层的推文，走过的链记住结果，很长的自回复链也只走一遍
+   * resolve 已断开 byId 中的环；同一ID的重复行仍可能指回环上，环上的推文各自走到回到自己之前的最后一条
+   * @returns {Map<Object, Object>} item → 根 item
+   */
+  findRoots(items, byId) {
+    const walk = item => {
+      let root = item;
+      const visited = new Set([item.id]);
+      while (root.parentId && byId.has(root.parentId) && !visited.has(root.parentId)) {
+        root = byId.get(root.parentId);
+        visited.add(root.id);
+      }
+      return root;
+    };
+
+    const roots = new Map();
+    const known = new Map();  // tweet_id → 根 (只记录 byId 中的推文)
+
+    for (const item of items) {
+      // 同一ID的重复行只有最后一行在 byId 中，前面的行单独查找
+      if (byId.get(item.id) !== item) {
+        roots.set(item, walk(item));
+        continue;
+      }
+
+      const path = [];
+      const position = new Map();
+      let current = item;
+      let root;
+
+      while (true) {
+        if (known.has(current.id)) {
+          root = known.get(current.id);
+          break;
+        }
+        if (position.has(current.id)) {
+          // 成环: 环上的推文各自查找，进入环之前的推文与入口相同
+          const entry = position.get(current.id);
+          path.slice(entry).forEach(node => known.set(node.id, walk(node)));
+          path.length = entry;
+          root = known.get(current.id);
+          break;
+        }
+
+        position.set(current.id, path.length);
+        path.push(current);
+        if (!current.parentId || !byId.has(current.parentId)) {
+          root = current;
+          break;
+        }
+        current = byId.get(current.parentId);
+      }
+
+      path.forEach(node => known.set(node.id, root));
+      roots.set(item, known.get(item.id));
+    }
+
+    return roots;
+  }
+
+  /**
+   * 按作者索引有发布时间的推文，每个作者的列表按时间升序 (同一时间按导出顺序)，供 findParent 二分查找
+   * @returns {Map<string, Array>} 作者 (小写) → 推文列表
+   */
+  indexByAuthor(items) {
+    const byAuthor = new Map();
+
+    for (const item of items) {
+      if (!item.author || item.time === null) continue;
+      if (!byAuthor.has(item.author)) {
+        byAuthor.set(item.author, []);
+      }
+      byAuthor.get(item.author).push(item);
+    }
+
+    for (const list of byAuthor.values()) {
+      list.sort((a, b) => (a.time - b.time) || (a.index - b.index));
+    }
+    return byAuthor;
+  }
+
+  /**
+   * 在一个作者的推文中找不晚于 item 的最晚一条 (不含 item 本身)
+   * 同一时间有多条时取导出顺序上离 item 最近的，距离相同取靠前的
+   */
+  latestBefore(list, item) {
+    // 第一条晚于 item 的位置
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].time <= item.time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    // 从最晚的时间开始，逐个时间点向前查找 (只有 item 本身时继续向前)
+    let end = low - 1;
+    while (end >= 0) {
+      const time = list[end].time;
+      let best = null;
+
+      for (; end >= 0 && list[end].time === time; end--) {
+        const candidate = list[end];
+        if (candidate.id === item.id) continue;
+        if (!best || Math.abs(candidate.index - item.index) <= Math.abs(best.index - item.index)) {
+          best = candidate;
+        }
+      }
+
+      if (best) return best;
+    }
+    return null;
+  }
+
+  /**
+   * 为一条 Reply 寻找父推文
+   * 1. 上一行的作者在 @提及 中 (回复自己时为同一作者) 且时间更早 → inferred
+   * 2. 本批次内作者在 @提及 中、时间更早的推文里最晚的一条 → inferred (没有 @提及 时为同一作者 → guessed)
+   * 3. 上一行是同一对话模块 (Origin/Reply) → guessed
+   * @param {Map} byAuthor - indexByAuthor(items) 的结果，未传入时现场构建
+   */
+  findParent(item, items, byAuthor = this.indexByAuthor(items)) {
+    const expected = item.mentions.length > 0 ? item.mentions : [item.author];
+    const isEarlier = candidate => item.time === null || candidate.time === null || candidate.time <= item.time;
+    const matches = candidate => candidate.id !== item.id && candidate.author && expected.includes(candidate.author) && isEarlier(candidate);
+
+    const previous = items[item.index - 1];
+    if (previous && matches(previous)) {
+      item.parentId = previous.id;
+      item.confidence = THREAD_CONFIDENCE.INFERRED;
+      return;
+    }
+
+    // 时间最接近的；同一时间取导出顺序上离得最近的
+    // 没有 @提及 (回复自己) 时同一作者的推文很多，只能算推测
+    if (item.time !== null) {
+      const distance = candidate => Math.abs(candidate.index - item.index);
+      let best = null;
+
+      for (const author of new Set(expected)) {
+        const candidate = byAuthor.has(author) ? this.latestBefore(byAuthor.get(author), item) : null;
+        if (!candidate) continue;
+
+        if (!best
+          || candidate.time > best.time
+          || (candidate.time === best.time && (distance(candidate) < distance(best)
+            || (distance(candidate) === distance(best) && candidate.index < best.index)))) {
+          best = candidate;
+        }
+      }
+
+      if (best) {
+        item.parentId = best.id;
+        item.confidence = item.mentions.length > 0 ? THREAD_CONFIDENCE.INFERRED : THREAD_CONFIDENCE.GUESSED;
+        return;
+      }
+    }
+
+    if (previous && ['origin', 'reply'].includes(previous.type.toLowerCase()) && isEarlier(previous)) {
+      item.parentId = previous.id;
+      item.confidence = THREAD_CONFIDENCE.GUESSED;
+    }
+  }
+
+  /**
+   * 构建对话树
+   * @param {string} conversationId - 对话ID
+   * @param {Array} posts - 对话中的推文 (数据库行，需要 tweet_id/in_reply_to_tweet_id/published_at)
+   * @returns {Object} { conversation_id, post_count, roots: [{ ...post, replies: [...] }] }
+   *          父推文不在对话中的推文作为额外的根节点
+   */
+  buildTree(conversationId, posts) {
+    const nodes = new Map(posts.map(post => [String(post.tweet_id), { ...post, replies: [] }]));
+    const roots = [];
+    const byTime = (a, b) => (new Date(a.published_at) - new Date(b.published_at)) || String(a.tweet_id).localeCompare(String(b.tweet_id));
+
+    for (const node of nodes.values()) {
+      const parent = node.in_reply_to_tweet_id ? nodes.get(String(node.in_reply_to_tweet_id)) : null;
+      if (parent && parent !== node) {
+        parent.replies.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    // 父链成环的推文 (如旧数据中互为父推文) 从任何根都走不到: 从父推文的回复中摘下，作为根节点
+    const reachable = new Set();
+    const markReachable = root => {
+      const stack = [root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        reachable.add(node);
+        stack.push(...node.replies);
+      }
+    };
+    roots.forEach(markReachable);
+
+    for (const node of [...nodes.values()].sort(byTime)) {
+      if (reachable.has(node)) continue;
+
+      const siblings = nodes.get(String(node.in_reply_to_tweet_id)).replies;
+      siblings.splice(siblings.indexOf(node), 1);
+      roots.push(node);
+      markReachable(node);
+    }
+
+    const sortReplies = node => {
+      node.replies.sort(byTime);
+      node.replies.forEach(sortReplies);
+    };
+    roots.sort(byTime);
+    roots.forEach(sortReplies);
+
+    return {
+      conversation_id: String(conversationId),
+      post_count: posts.length,
+      roots
+    };
+  }
+
+  /**
+   * 对话树转为嵌套 Markdown 列表
+   */
+  toMarkdown(tree) {
+    const lines = [`# 对话 ${tree.conversation_id}`, '', `共 ${tree.post_count} 条推文`, ''];
+
+    const render = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      const author = node.username ? `**@${node.username}**` : '**(未知作者)**';
+      const time = node.published_at ? new Date(node.published_at).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '';
+      const link = node.tweet_url ? `[原文](${node.tweet_url})` : '';
+      const guessed = node.thread_confidence === THREAD_CONFIDENCE.GUESSED ? '_(回复关系为推测)_' : '';
+      const stats = `❤️ ${node.favorite_count ?? 0} 🔁 ${node.retweet_count ?? 0} 💬 ${node.reply_count ?? 0}`;
+
+      lines.push(`${indent}- ${[author, time, stats, link, guessed].filter(Boolean).join(' · ')}`);
+      String(node.text || '').split('\n').forEach(line => {
+        lines.push(`${indent}  > ${line}`);
+      });
+      node.replies.forEach(reply => render(reply, depth + 1));
+    };
+
+    tree.roots.forEach(root => render(root, 0));
+    return lines.join('\n') + '\n';
+  }
+}
+
+export default ThreadResolver;
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { createObjectCsvWriter } from 'csv-writer';
+import { TASK_TYPES, FREQUENCY_GROUP_HOURS } from './DatabaseManager.js';
+
+// Twitter 用户名规则: 1-15 位字母、数字、下划线
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{1,15}$/;
+
+// 旧版用户列表中的类型别名
+const TYPE_ALIASES = { tweets: 'posts' };
+
+// 导出到 CSV 的列 (与导入支持的字段一致)
+const EXPORT_COLUMNS = ['username', 'type', 'maxCount', 'enabled', 'frequency'];
+
+/**
+ * 用户列表同步 - 在 users.json/CSV (BatchRunner 文件模式) 与 scrape_tasks 之间导入导出
+ *
+ * 文件格式与 BatchRunner.loadUserList 相同，每条记录:
+ *   { username, type?, maxCount?, enabled?, frequency? }
+ * type 可为逗号分隔或数组 (默认 posts)；未填写的 maxCount/frequency 导入时保留数据库原值
+ */
+export class UserListSync {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * 读取 JSON/CSV 用户列表
+   * @returns {Array<Object>} 原始记录
+   */
+  readFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`用户列表文件不存在: ${resolvedPath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    const ext = path.extname(resolvedPath).toLowerCase();
+
+    if (ext === '.json') {
+      const data = JSON.parse(content);
+      const users = data.users || data;
+      if (!Array.isArray(users)) {
+        throw new Error('JSON 文件应为数组或 { "users": [...] }');
+      }
+      return users;
+    }
+
+    if (ext === '.csv') {
+      return parse(content, { columns: true, skip_empty_lines: true, trim: true });
+    }
+
+    throw new Error(`不支持的文件格式: ${ext}`);
+  }
+
+  /**
+   * 校验并展开记录 (一条记录的多个类型展开为多个任务)
+   * @param {Array<Object>} rawEntries - 原始记录
+   * @returns {{ entries: Array, errors: Array<string> }}
+   */
+  normalize(rawEntries) {
+    const entries = new Map();
+    const errors = [];
+
+    rawEntries.forEach((raw, index) => {
+      const row = `第 ${index + 1} 条`;
+
+      // CSV 表头大小写不固定，统一按小写读取
+      const fields = {};
+      for (const [key, value] of Object.entries(raw || {})) {
+        fields[key.toLowerCase().replace(/_/g, '')] = value;
+      }
+
+      const username = String(fields.username ?? '').trim().replace(/^@/, '');
+      if (!USERNAME_PATTERN.test(username)) {
+        errors.push(`${row}: 无效的用户名 "${fields.username ?? ''}"`);
+        return;
+      }
+
+      const rawTypes = Array.isArray(fields.type) ? fields.type : String(fields.type || 'posts').split(',');
+      const types = rawTypes.map(t => String(t).trim().toLowerCase()).filter(Boolean).map(t => TYPE_ALIASES[t] || t);
+      const invalidTypes = types.filter(t => !TASK_TYPES.includes(t));
+      if (types.length === 0 || invalidTypes.length > 0) {
+        errors.push(`${row} @${username}: 不支持的任务类型 "${invalidTypes.join(', ')}" (可选: ${TASK_TYPES.join(', ')})`);
+        return;
+      }
+
+      let maxCount;
+      if (fields.maxcount !== undefined && fields.maxcount !== null && fields.maxcount !== '') {
+        maxCount = Number(fields.maxcount);
+        if (!Number.isInteger(maxCount) || maxCount <= 0) {
+          errors.push(`${row} @${username}: 无效的 maxCount "${fields.maxcount}"`);
+          return;
+        }
+      }
+
+      let frequency;
+      const rawFrequency = fields.frequency ?? fields.frequencygroup;
+      if (rawFrequency !== undefined && rawFrequency !== null && rawFrequency !== '') {
+        frequency = rawFrequency === 'auto' ? null : String(rawFrequency);
+        if (frequency && !FREQUENCY_GROUP_HOURS[frequency]) {
+          errors.push(`${row} @${username}: 不支持的频率分组 "${frequency}"`);
+          return;
+        }
+      }
+
+      const enabled = ![false, 'false', 0, '0', 'no'].includes(fields.enabled);
+
+      for (const type of types) {
+        // 同一用户同一类型重复出现时以最后一条为准
+        entries.set(`${username.toLowerCase()}|${type}`, { username, type, maxCount, enabled, frequency });
+      }
+    });
+
+    return { entries: [...entries.values()], errors };
+  }
+
+  /**
+   * 对比数据库生成导入计划
+   * @param {Array} entries - normalize 返回的记录
+   * @param {Object} options - { disableMissing: 文件中没有的已启用任务也禁用 }
+   * @returns {Promise<Object>} { add, change, disable, unchanged }
+   */
+  async plan(entries, options = {}) {
+    const existingTasks = await this.database.listTasks();
+    const existing = new Map(existingTasks.map(task => [`${task.username.toLowerCase()}|${task.task_type}`, task]));
+
+    const plan = { add: [], change: [], disable: [], unchanged: [] };
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const key = `${entry.username.toLowerCase()}|${entry.type}`;
+      const task = existing.get(key);
+      seen.add(key);
+
+      if (!task) {
+        plan.add.push(entry);
+        continue;
+      }
+
+      // 使用数据库中的用户名，避免大小写不一致时更新不到 (SQLite/PostgreSQL 区分大小写)
+      const item = { ...entry, username: task.username, changes: [] };
+
+      if (entry.maxCount !== undefined && entry.maxCount !== task.max_count) {
+        item.changes.push({ field: 'maxCount', from: task.max_count, to: entry.maxCount });
+      }
+      if (entry.frequency !== undefined && entry.frequency !== (task.frequency_override || null)) {
+        item.changes.push({ field: 'frequency', from: task.frequency_override || 'auto', to: entry.frequency || 'auto' });
+      }
+
+      if (!entry.enabled && task.enabled) {
+        plan.disable.push(item);
+      } else if (entry.enabled && !task.enabled) {
+        item.changes.push({ field: 'enabled', from: false, to: true });
+        plan.change.push(item);
+      } else if (item.changes.length > 0) {
+        plan.change.push(item);
+      } else {
+        plan.unchanged.push(item);
+      }
+    }
+
+    if (options.disableMissing) {
+      for (const [key, task] of existing) {
+        if (!seen.has(key) && task.enabled) {
+          plan.disable.push({ username: task.username, type: task.task_type, missing: true, changes: [] });
+        }
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * 执行导入计划
+   */
+  async apply(plan) {
+    for (const entry of plan.add) {
+      await this.database.upsertTask(entry.username, entry.type, entry.maxCount ?? null);
+      if (entry.frequency) {
+        await this.database.setFrequencyOverride(entry.username, entry.frequency, entry.type);
+      }
+      if (!entry.enabled) {
+        await this.database.setTasksEnabled(entry.username, false, entry.type);
+      }
+    }
+
+    for (const item of [...plan.change, ...plan.disable]) {
+      for (const { field, to } of item.changes) {
+        if (field === 'maxCount') {
+          await this.database.setTaskMaxCount(item.username, to, item.type);
+        } else if (field === 'frequency') {
+          await this.database.setFrequencyOverride(item.username, to === 'auto' ? null : to, item.type);
+        } else if (field === 'enabled') {
+          await this.database.setTasksEnabled(item.username, true, item.type);
+        }
+      }
+    }
+
+    for (const item of plan.disable) {
+      await this.database.setTasksEnabled(item.username, false, item.type);
+    }
+  }
+
+  /**
+   * 将 scrape_tasks 导出为用户列表文件 (.json 或 .csv)
+   * @returns {Promise<number>} 导出的任务数
+   */
+  async exportToFile(filePath) {
+    const tasks = await this.database.listTasks();
+    const users = tasks.map(task => {
+      const user = { username: task.username, type: task.task_type };
+      if (task.max_count) user.maxCount = task.max_count;
+      user.enabled = task.enabled;
+      if (task.frequency_override) user.frequency = task.frequency_override;
+      return user;
+    });
+
+    const resolvedPath = path.resolve(filePath);
+    const dir = path.dirname(resolvedPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const ext = path.extname(resolvedPath).toLowerCase();
+
+    if (ext === '.csv') {
+      const csvWriter = createObjectCsvWriter({
+        path: resolvedPath,
+        header: EXPORT_COLUMNS.map(col => ({ id: col, title: col }))
+      });
+      await csvWriter.writeRecords(users);
+    } else if (ext === '.json') {
+      fs.writeFileSync(resolvedPath, JSON.stringify({ users }, null, 2) + '\n', 'utf8');
+    } else {
+      throw new Error(`不支持的文件格式: ${ext}`);
+    }
+
+    return users.length;
+  }
+}
+
+export default UserListSync;
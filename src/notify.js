@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import config from '../config.js';
+import { Notifier, WEBHOOK_FORMATS } from './modules/Notifier.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+Webhook 通知 - 使用说明
+
+用法:
+  npm run notify -- test                   # 向 WEBHOOK_URL 发送一条示例摘要
+  npm run notify -- test --report=./output/batch-report.json
+  npm run notify -- receive                # 启动本地接收端，打印收到的通知
+
+test 选项:
+  --url=<url1,url2>                # 发送到这些地址 (默认: WEBHOOK_URL)
+  --format=<${WEBHOOK_FORMATS.join('|')}>   # 消息格式 (默认: WEBHOOK_FORMAT 或按地址自动识别)
+  --report=<file>                  # 使用 npm run batch 生成的报告，默认使用内置示例
+  --error=<message>                # 发送启动失败通知 (如 --error="登录失败: cookie 已过期")
+
+receive 选项:
+  --port=<number>                  # 端口 (默认: 9000)
+  --host=<address>                 # 监听地址 (默认: 127.0.0.1)
+  --fail=<number>                  # 前 N 个请求返回 500，用于验证重试
+
+本地调试:
+  npm run notify -- receive --fail=1
+  npm run notify -- test --url=http://127.0.0.1:9000/slack --format=slack
+
+  接收端按路径模拟各平台的响应: /slack 返回 ok，/discord 返回 204，/feishu 返回 {"code":0}
+`);
+}
+
+// 内置示例报告 (字段与 BatchRunner.generateReport 一致)
+function sampleReport() {
+  const now = Date.now();
+  return {
+    runId: 42,
+    startTime: new Date(now - 25 * 60 * 1000).toISOString(),
+    endTime: new Date(now).toISOString(),
+    duration: '25.00 分钟',
+    totalUsers: 4,
+    successCount: 2,
+    errorCount: 2,
+    totalNewData: 37,
+    totalRejectedData: 3,
+    errorCategories: { 'not-found': 1, timeout: 1 },
+    disabledTasks: [{ username: 'deleted_account', type: 'posts', errorCategory: 'not-found' }],
+    suspectedDeleted: [{ username: 'elonmusk', tweetId: '1790000000000000000' }],
+    globalError: null,
+    results: [
+      { username: 'elonmusk', type: 'posts', status: 'success', newDataCount: 25, rejectedDataCount: 3 },
+      { username: 'sama', type: 'following', status: 'success', newDataCount: 12, removedDataCount: 2 },
+      { username: 'deleted_account', type: 'posts', status: 'error', errorCategory: 'not-found', error: '用户不存在', disabled: true },
+      { username: 'slow_user', type: 'replies', status: 'error', errorCategory: 'timeout', error: '任务超时 (90秒)' }
+    ]
+  };
+}
+
+// 发送测试通知
+async function sendTest(options) {
+  const webhooks = options.url ? String(options.url).split(',').map(url => url.trim()).filter(Boolean) : config.notify.webhooks;
+  if (webhooks.length === 0) {
+    console.error('❌ 未配置 webhook (设置 WEBHOOK_URL 或使用 --url)');
+    process.exit(1);
+  }
+
+  const format = options.format ? String(options.format) : config.notify.format;
+  if (format !== 'auto' && !WEBHOOK_FORMATS.includes(format)) {
+    console.error(`❌ 不支持的格式: ${format} (可选: auto, ${WEBHOOK_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const notifier = new Notifier({ ...config.notify, webhooks, format });
+  const context = { workerId: 'notify-test' };
+
+  let summary;
+  if (options.error) {
+    summary = notifier.buildErrorSummary(new Error(String(options.error)), context);
+  } else if (options.report) {
+    const reportPath = path.resolve(process.cwd(), String(options.report));
+    summary = notifier.buildSummary(JSON.parse(fs.readFileSync(reportPath, 'utf8')), context);
+  } else {
+    summary = notifier.buildSummary(sampleReport(), context);
+  }
+
+  const delivered = await notifier.send(summary);
+  console.log(`${delivered === webhooks.length ? '✅' : '⚠️ '} 发送成功 ${delivered}/${webhooks.length}`);
+  if (delivered < webhooks.length) {
+    process.exitCode = 1;
+  }
+}
+
+// 本地接收端
+async function receive(options) {
+  const port = options.port ? parseInt(options.port) : 9000;
+  const host = options.host || '127.0.0.1';
+  let failRemaining = options.fail ? parseInt(options.fail) : 0;
+  let count = 0;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      count++;
+      const time = new Date().toISOString().slice(11, 19);
+
+      if (failRemaining > 0) {
+        failRemaining--;
+        console.log(`\n📥 #${count} ${time} ${req.method} ${req.url} -> 500 (模拟失败)`);
+        res.writeHead(500);
+        res.end('simulated failure');
+        return;
+      }
+
+      console.log(`\n📥 #${count} ${time} ${req.method} ${req.url}`);
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log(body);
+      }
+
+      if (req.url.includes('discord')) {
+        res.writeHead(204);
+        res.end();
+      } else if (req.url.includes('feishu') || req.url.includes('lark')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 0, msg: 'success' }));
+      } else if (req.url.includes('slack')) {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  console.log(`👂 接收端已启动: http://${address.address}:${address.port} (Ctrl+C 退出)`);
+
+  process.once('SIGINT', () => {
+    console.log(`\n🛑 共收到 ${count} 个请求`);
+    server.close(() => process.exit(0));
+  });
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const command = options._[0];
+
+  if (options.help || !command) {
+    showHelp();
+    process.exit(0);
+  }
+
+  try {
+    if (command === 'test') {
+      await sendTest(options);
+    } else if (command === 'receive') {
+      await receive(options);
+    } else {
+      console.error(`❌ 未知命令: ${command}`);
+      showHelp();
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ 执行失败:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+中断任务回收 - 使用说明
+
+进程被 CI 超时等方式强制终止时，任务会停留在 running 状态，不再被任何批次选中。
+本命令将 running 超过指定时长且租约已失效的任务标记为 interrupted，并让它们立即重新到期。
+(npm run batch 启动时也会自动执行一次)
+
+用法:
+  npm run reap                     # 回收 running 超过 ${config.batch.staleTaskMinutes} 分钟的任务
+  npm run reap -- --max-age=60     # 自定义时长(分钟)
+  npm run reap -- --dry-run        # 只列出，不修改
+
+默认时长读取 STALE_TASK_MINUTES 环境变量
+`);
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const maxAge = options['max-age'] ? parseInt(options['max-age']) : config.batch.staleTaskMinutes;
+  if (isNaN(maxAge) || maxAge <= 0) {
+    console.error(`❌ 无效的时长 --max-age=${options['max-age']}`);
+    process.exit(1);
+  }
+
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+
+    const dryRun = Boolean(options['dry-run']);
+    const tasks = await database.reapStaleTasks(maxAge, { dryRun });
+
+    if (tasks.length === 0) {
+      console.log(`✅ 没有 running 超过 ${maxAge} 分钟的任务`);
+      return;
+    }
+
+    console.log(`\n♻️  ${dryRun ? '将回收' : '已回收'} ${tasks.length} 个任务:`);
+    for (const task of tasks) {
+      const startedAt = task.last_run_at ? task.last_run_at.toISOString().slice(0, 16).replace('T', ' ') : '-';
+      const worker = task.leased_by ? `  [${task.leased_by}]` : '';
+      console.log(`  #${task.id}  @${task.username} (${task.task_type})  开始于 ${startedAt}${worker}`);
+    }
+  } catch (error) {
+    console.error('❌ 回收失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
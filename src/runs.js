@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { parseArgs, formatCell, printTable } from './modules/CommandLine.js';
+
+// 运行列表的列
+const RUN_COLUMNS = [
+  ['id', 'ID'],
+  ['started_at', 'STARTED (UTC)'],
+  [run => formatDuration(run), 'DURATION'],
+  ['status', 'STATUS'],
+  ['frequency_group', 'FREQUENCY'],
+  ['worker_id', 'WORKER'],
+  ['total_tasks', 'TASKS'],
+  ['success_count', 'OK'],
+  ['error_count', 'ERR'],
+  ['new_data_count', 'NEW'],
+  ['removed_data_count', 'REMOVED']
+];
+
+// 任务结果的列
+const TASK_COLUMNS = [
+  ['username', 'USERNAME'],
+  ['task_type', 'TYPE'],
+  ['status', 'STATUS'],
+  ['data_count', 'TOTAL'],
+  ['new_data_count', 'NEW'],
+  ['removed_data_count', 'REMOVED'],
+  [task => `${(task.duration_ms / 1000).toFixed(1)}s`, 'TIME'],
+  [task => (task.error_category ? `[${task.error_category}] ${task.error_message}` : task.error_message), 'ERROR']
+];
+
+// 对比时的汇总指标
+const COMPARE_METRICS = [
+  ['total_tasks', '任务数'],
+  ['success_count', '成功'],
+  ['error_count', '失败'],
+  ['new_data_count', '新增数据'],
+  ['removed_data_count', '取关']
+];
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+批量运行记录 - 使用说明
+
+用法:
+  npm run runs                             # 最近 20 次运行
+  npm run runs -- list --limit=50
+  npm run runs -- show <runId>             # 某次运行的每个任务结果
+  npm run runs -- compare <runId> <runId>  # 对比两次运行
+  npm run runs -- user <username>          # 用户在各次运行中的采集记录
+
+选项:
+  --limit=<number>                 # list/user: 显示数量 (默认: 20)
+  --json                           # 输出 JSON (便于脚本处理)
+`);
+}
+
+// 运行耗时
+function formatDuration(run) {
+  if (!run.started_at || !run.finished_at) return '-';
+  const minutes = (run.finished_at.getTime() - run.started_at.getTime()) / 60000;
+  return `${minutes.toFixed(1)}m`;
+}
+
+// 带符号的差值
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+// 输出结果: --json 时输出 JSON，否则打印文本
+function output(options, data, printText) {
+  if (options.json) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  } else {
+    printText();
+  }
+}
+
+// 读取运行记录，不存在时报错
+async function loadRun(database, runId) {
+  const id = parseInt(runId);
+  const data = isNaN(id) ? null : await database.getRun(id);
+  if (!data) {
+    throw new Error(`运行记录不存在: ${runId}`);
+  }
+  return data;
+}
+
+// 打印单次运行
+function printRun({ run, tasks }) {
+  console.log(`\n🗂️  运行 #${run.id} (${run.status})`);
+  console.log(`   开始: ${formatCell(run.started_at)} UTC  结束: ${formatCell(run.finished_at)} UTC  耗时: ${formatDuration(run)}`);
+  console.log(`   runner: ${formatCell(run.worker_id)}  频率组: ${formatCell(run.frequency_group)}  来源: ${run.source}`);
+  console.log(`   任务 ${run.total_tasks}, 成功 ${run.success_count}, 失败 ${run.error_count}, 新增 ${run.new_data_count}, 取关 ${run.removed_data_count}`);
+  if (run.global_error) {
+    console.log(`   ❌ ${run.global_error}`);
+  }
+  console.log('');
+  printTable(tasks, TASK_COLUMNS);
+}
+
+/**
+ * 对比两次运行: 汇总指标差值 + 按 用户/类型 对比任务结果
+ */
+function compareRuns(a, b) {
+  const metrics = COMPARE_METRICS.map(([key, label]) => ({
+    metric: key,
+    label,
+    a: a.run[key],
+    b: b.run[key],
+    delta: b.run[key] - a.run[key]
+  }));
+
+  const tasksA = new Map(a.tasks.map(task => [`${task.username}|${task.task_type}`, task]));
+  const tasksB = new Map(b.tasks.map(task => [`${task.username}|${task.task_type}`, task]));
+  const keys = [...new Set([...tasksA.keys(), ...tasksB.keys()])].sort();
+
+  const tasks = keys.map(key => {
+    const [username, taskType] = key.split('|');
+    const left = tasksA.get(key);
+    const right = tasksB.get(key);
+    return {
+      username,
+      task_type: taskType,
+      status_a: left?.status ?? null,
+      status_b: right?.status ?? null,
+      new_a: left?.new_data_count ?? null,
+      new_b: right?.new_data_count ?? null,
+      error_b: right?.error_category ?? null
+    };
+  });
+
+  return { runA: a.run, runB: b.run, metrics, tasks };
+}
+
+// 打印对比结果
+function printComparison(comparison) {
+  const { runA, runB, metrics, tasks } = comparison;
+
+  console.log(`\n⚖️  运行 #${runA.id} (${formatCell(runA.started_at)}) → #${runB.id} (${formatCell(runB.started_at)})\n`);
+  printTable(metrics, [
+    ['label', '指标'],
+    ['a', `#${runA.id}`],
+    ['b', `#${runB.id}`],
+    [row => formatDelta(row.delta), '变化']
+  ]);
+
+  const changed = tasks.filter(task => task.status_a !== task.status_b);
+  console.log(`\n状态变化的任务 ${changed.length} 个:`);
+  changed.forEach(task => {
+    const error = task.error_b ? ` [${task.error_b}]` : '';
+    console.log(`  @${task.username} (${task.task_type}): ${formatCell(task.status_a)} → ${formatCell(task.status_b)}${error}`);
+  });
+
+  const common = tasks.filter(task => task.status_a && task.status_b);
+  console.log(`\n两次都运行的任务 ${common.length} 个，仅 #${runA.id} ${tasks.filter(t => !t.status_b).length} 个，仅 #${runB.id} ${tasks.filter(t => !t.status_a).length} 个`);
+}
+
+// 打印用户的采集历史
+function printUserHistory(username, history) {
+  console.log(`\n👤 @${username} 最近 ${history.length} 次采集:\n`);
+  printTable(history, [
+    ['run_id', 'RUN'],
+    ['started_at', 'STARTED (UTC)'],
+    ...TASK_COLUMNS.slice(1)
+  ]);
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const [command = 'list', ...args] = options._;
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  // JSON 模式下 stdout 只输出结果，日志改写到 stderr
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  const limit = options.limit ? parseInt(options.limit) || 20 : 20;
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+
+    if (command === 'list') {
+      const runs = await database.listRuns(limit);
+      output(options, runs, () => printTable(runs, RUN_COLUMNS));
+    } else if (command === 'show') {
+      const data = await loadRun(database, args[0]);
+      output(options, data, () => printRun(data));
+    } else if (command === 'compare') {
+      if (args.length < 2) {
+        throw new Error('请指定两个运行ID，例如: compare 12 15');
+      }
+      const comparison = compareRuns(await loadRun(database, args[0]), await loadRun(database, args[1]));
+      output(options, comparison, () => printComparison(comparison));
+    } else if (command === 'user') {
+      const username = (args[0] || '').replace(/^@/, '');
+      if (!username) {
+        throw new Error('请指定用户名');
+      }
+      const history = await database.getUserRunHistory(username, limit);
+      output(options, history, () => printUserHistory(username, history));
+    } else {
+      console.error(`❌ 未知命令: ${command}`);
+      showHelp();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ 查询失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { ApiServer } from './modules/ApiServer.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+只读 REST API - 使用说明
+
+用法:
+  API_TOKEN=<token> npm run serve          # 监听 ${config.api.host}:${config.api.port}
+  npm run serve -- --port=8080 --host=0.0.0.0
+  npm run serve -- --no-auth               # 关闭认证 (仅限本机调试)
+
+选项:
+  --port=<number>                  # 端口 (默认: API_PORT 或 3000)
+  --host=<address>                 # 监听地址 (默认: API_HOST 或 127.0.0.1)
+  --no-auth                        # 不校验 token
+
+接口 (/api 下需要请求头 Authorization: Bearer <API_TOKEN>):
+  GET /health
+  GET /api/users                           ?username=a,b&since=&until=&min_followers=
+  GET /api/users/<username>
+  GET /api/users/<username>/posts          ?since=&until=&type=&hashtag=&domain=&mention=&min_engagement=
+                                           &suspected_deleted=true&text=latest|revisions&order=desc|asc
+  GET /api/users/<username>/following      ?since=&until=&min_followers=&include_removed=true
+  GET /api/users/<username>/followers      (同 following)
+  GET /api/users/<username>/runs           ?limit=
+  GET /api/tasks                           ?username=&type=&enabled=&frequency_group=&status=
+  GET /api/runs                            ?limit=
+  GET /api/runs/<id>
+
+分页:
+  列表接口支持 ?limit= (默认 ${config.api.defaultPageSize}，上限 ${config.api.maxPageSize})
+  响应为 { data, next_cursor }，把 next_cursor 作为 ?cursor= 读取下一页，为 null 时已到末页
+
+缓存:
+  响应带 ETag，请求头 If-None-Match 与之相同时返回 304 (内容未变化)
+
+示例:
+  curl -H "Authorization: Bearer $API_TOKEN" "http://localhost:3000/api/users/elonmusk/posts?since=2025-01-01&limit=50"
+`);
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const port = options.port !== undefined ? parseInt(options.port) : config.api.port;
+  if (isNaN(port) || port < 0 || port > 65535) {
+    console.error(`❌ 无效的端口 --port=${options.port}`);
+    process.exit(1);
+  }
+
+  const noAuth = Boolean(options['no-auth']);
+  const database = new DatabaseManager(config.database);
+  const server = new ApiServer({ ...config.api, noAuth }, database);
+
+  try {
+    await database.init();
+
+    const address = await server.start(port, options.host || config.api.host);
+    console.log(`🌐 API 已启动: http://${address.address}:${address.port}`);
+    if (noAuth) {
+      console.warn('⚠️  已关闭认证 (--no-auth)，请勿对外开放');
+    }
+  } catch (error) {
+    console.error('❌ 启动失败:', error.message);
+    await database.close();
+    process.exit(1);
+  }
+
+  // Ctrl+C / 容器停止时等待进行中的请求完成再退出
+  const shutdown = async () => {
+    console.log('\n🛑 正在停止 API...');
+    await server.stop();
+    await database.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+main();
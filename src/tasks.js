@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+import config from '../config.js';
+import { DatabaseManager, TASK_TYPES, FREQUENCY_GROUP_HOURS } from './modules/DatabaseManager.js';
+import { UserListSync } from './modules/UserListSync.js';
+import { parseArgs, formatCell, printTable } from './modules/CommandLine.js';
+
+// 表格输出的列
+const TABLE_COLUMNS = [
+  ['id', 'ID'],
+  ['username', 'USERNAME'],
+  ['task_type', 'TYPE'],
+  ['enabled', 'ENABLED'],
+  ['status', 'STATUS'],
+  [task => (task.frequency_override ? `${task.frequency_override}*` : task.frequency_group), 'FREQUENCY'],
+  ['max_count', 'MAX'],
+  ['failure_count', 'FAILS'],
+  ['next_run_time', 'NEXT RUN (UTC)'],
+  ['last_run_at', 'LAST RUN (UTC)']
+];
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+采集任务管理 - 使用说明
+
+用法:
+  npm run tasks -- list                              # 列出所有任务
+  npm run tasks -- show <username>                   # 查看用户的任务详情
+  npm run tasks -- add <username>                    # 添加 posts 任务 (已存在时重新启用)
+  npm run tasks -- add <username> --type=posts,following --max=500
+  npm run tasks -- remove <username>                 # 删除用户的全部任务
+  npm run tasks -- enable <username>                 # 启用 (清空失败记录，立即到期)
+  npm run tasks -- disable <username>                # 暂停
+  npm run tasks -- set-max <username> <number|none>  # 设置最大采集数量 (none = 使用全局配置)
+  npm run tasks -- set-frequency <username> <group|auto>
+  npm run tasks -- import <users.json|users.csv>     # 从用户列表文件导入任务
+  npm run tasks -- export [users.json|users.csv]     # 导出任务到用户列表文件 (默认: ./users.json)
+
+选项:
+  --type=<types>                   # 任务类型，逗号分隔: ${TASK_TYPES.join('/')}
+                                   # add 默认 posts，其余命令默认作用于用户的全部任务
+  --max=<number>                   # add: 最大采集数量
+  --frequency=<group>              # add: 手动指定频率分组；list: 按分组过滤
+  --status=<status>                # list: 按状态过滤 (pending/running/completed/failed/interrupted)
+  --enabled / --disabled           # list: 只看启用/禁用的任务
+  --dry-run                        # import: 只显示将要新增/修改/禁用的任务，不写入
+  --disable-missing                # import: 文件中没有的任务也禁用 (以文件为准同步)
+  --json                           # 输出 JSON (便于脚本处理)
+
+频率分组: ${Object.keys(FREQUENCY_GROUP_HOURS).join(', ')}
+  手动指定后不再按发帖速率自动调整，set-frequency <username> auto 恢复自动
+
+示例:
+  npm run tasks -- add elonmusk --type=posts,replies --frequency=very_high
+  npm run tasks -- list --disabled --json
+  npm run tasks -- set-max sama 200 --type=posts
+  npm run tasks -- import users.json --dry-run
+
+用户列表格式与 npm run batch -- --users=<file> 相同:
+  {"users": [{"username": "elonmusk", "type": "posts,replies", "maxCount": 200, "enabled": true, "frequency": "high"}]}
+  CSV 表头: username,type,maxCount,enabled,frequency
+`);
+}
+
+// 解析 --type 参数
+function parseTypes(value, defaultTypes) {
+  if (!value || value === true) {
+    return defaultTypes;
+  }
+
+  const types = String(value).split(',').map(t => t.trim()).filter(Boolean);
+  const invalid = types.filter(t => !TASK_TYPES.includes(t));
+  if (invalid.length > 0) {
+    throw new Error(`不支持的任务类型: ${invalid.join(', ')} (可选: ${TASK_TYPES.join(', ')})`);
+  }
+  return types;
+}
+
+// 校验频率分组
+function parseFrequency(value) {
+  if (!FREQUENCY_GROUP_HOURS[value]) {
+    throw new Error(`不支持的频率分组: ${value} (可选: ${Object.keys(FREQUENCY_GROUP_HOURS).join(', ')})`);
+  }
+  return value;
+}
+
+// 解析数量参数 (none 表示清空)
+function parseMaxCount(value) {
+  if (value === 'none') {
+    return null;
+  }
+
+  const count = parseInt(value);
+  if (isNaN(count) || count <= 0) {
+    throw new Error(`无效的数量: ${value}`);
+  }
+  return count;
+}
+
+// 打印任务表格
+function printTasks(tasks) {
+  printTable(tasks, TABLE_COLUMNS);
+  console.log(`\n共 ${tasks.length} 个任务 (* = 手动指定频率分组)`);
+}
+
+// 打印单个用户的任务详情
+function printDetails(username, tasks) {
+  console.log(`\n👤 @${username} - ${tasks.length} 个任务`);
+
+  for (const task of tasks) {
+    const frequency = task.frequency_override
+      ? `${task.frequency_override} (手动指定)`
+      : `${formatCell(task.frequency_group)} (自动, ${formatCell(task.avg_posts_per_day)} posts/天)`;
+
+    console.log(`\n  #${task.id} ${task.task_type} ${task.enabled ? '✅ 启用' : '⏸️  禁用'}`);
+    console.log(`    状态:       ${task.status}`);
+    console.log(`    频率分组:   ${frequency}`);
+    console.log(`    最大数量:   ${task.max_count ?? '(全局配置)'}`);
+    console.log(`    上次运行:   ${formatCell(task.last_run_at)} UTC`);
+    console.log(`    下次运行:   ${formatCell(task.next_run_time)} UTC`);
+    console.log(`    连续失败:   ${task.failure_count || 0}${task.error_category ? ` (${task.error_category})` : ''}`);
+    if (task.error_message) {
+      console.log(`    错误信息:   ${task.error_message}`);
+    }
+    if (task.leased_by) {
+      console.log(`    租约:       ${task.leased_by} 至 ${formatCell(task.lease_expires_at)} UTC`);
+    }
+  }
+}
+
+// 输出结果: --json 时输出 JSON，否则打印文本
+function output(options, data, printText) {
+  if (options.json) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+  } else {
+    printText();
+  }
+}
+
+// 打印导入计划
+function printImportPlan(plan, errors, dryRun) {
+  if (errors.length > 0) {
+    console.log(`\n❌ 无效记录 ${errors.length} 条:`);
+    errors.forEach(error => console.log(`  ${error}`));
+  }
+
+  const describe = item => {
+    const changes = item.changes.map(c => `${c.field}: ${formatCell(c.from)} → ${formatCell(c.to)}`);
+    if (item.missing) changes.push('文件中不存在');
+    return `  @${item.username} (${item.type})${changes.length > 0 ? `  ${changes.join(', ')}` : ''}`;
+  };
+
+  console.log(`\n➕ 新增 ${plan.add.length} 个:`);
+  plan.add.forEach(entry => {
+    const details = [
+      entry.maxCount ? `maxCount: ${entry.maxCount}` : null,
+      entry.frequency ? `frequency: ${entry.frequency}` : null,
+      entry.enabled ? null : '禁用'
+    ].filter(Boolean);
+    console.log(`  @${entry.username} (${entry.type})${details.length > 0 ? `  ${details.join(', ')}` : ''}`);
+  });
+
+  console.log(`\n✏️  修改 ${plan.change.length} 个:`);
+  plan.change.forEach(item => console.log(describe(item)));
+
+  console.log(`\n⏸️  禁用 ${plan.disable.length} 个:`);
+  plan.disable.forEach(item => console.log(describe(item)));
+
+  console.log(`\n未变化 ${plan.unchanged.length} 个`);
+  if (dryRun) {
+    console.log('\n🔍 dry-run 模式，未写入数据库');
+  }
+}
+
+// 从用户列表文件导入
+async function importUserList(database, filePath, options) {
+  if (!filePath) {
+    throw new Error('请指定用户列表文件，例如: import users.json');
+  }
+
+  const sync = new UserListSync(database);
+  const { entries, errors } = sync.normalize(sync.readFile(filePath));
+  const plan = await sync.plan(entries, { disableMissing: Boolean(options['disable-missing']) });
+  const dryRun = Boolean(options['dry-run']);
+
+  output(options, { ...plan, errors, dryRun }, () => printImportPlan(plan, errors, dryRun));
+
+  // 有无效记录时整体放弃，避免只导入一部分
+  if (errors.length > 0) {
+    throw new Error(`用户列表中有 ${errors.length} 条无效记录，未导入`);
+  }
+
+  if (!dryRun) {
+    await sync.apply(plan);
+    console.log(`\n✅ 导入完成: 新增 ${plan.add.length}, 修改 ${plan.change.length}, 禁用 ${plan.disable.length}`);
+  }
+}
+
+// 对每个任务类型执行修改，汇总影响行数
+async function applyToTypes(types, action) {
+  let affected = 0;
+  for (const type of types) {
+    affected += await action(type);
+  }
+  return affected;
+}
+
+// 执行子命令
+async function runCommand(database, command, target, args, options) {
+  if (command === 'import') {
+    await importUserList(database, target, options);
+    return;
+  }
+
+  if (command === 'export') {
+    const filePath = target || './users.json';
+    const count = await new UserListSync(database).exportToFile(filePath);
+    output(options, { file: filePath, count }, () => console.log(`✅ 已导出 ${count} 个任务: ${filePath}`));
+    return;
+  }
+
+  const username = (target || '').replace(/^@/, '');
+
+  if (command === 'list') {
+    const types = parseTypes(options.type, TASK_TYPES);
+    const tasks = (await database.listTasks({
+      frequencyGroup: options.frequency ? parseFrequency(options.frequency) : null,
+      status: options.status || null,
+      enabled: options.enabled ? true : (options.disabled ? false : null)
+    })).filter(task => types.includes(task.task_type));
+    output(options, tasks, () => printTasks(tasks));
+    return;
+  }
+
+  if (!username) {
+    throw new Error('请指定用户名');
+  }
+
+  // 修改类命令的作用范围: 指定类型或该用户的全部任务
+  const scopeTypes = parseTypes(options.type, [null]);
+  const scopeLabel = options.type ? ` (${scopeTypes.join(', ')})` : '';
+
+  if (command === 'show') {
+    const tasks = await database.listTasks({ username });
+    if (tasks.length === 0) {
+      throw new Error(`用户 @${username} 没有任务`);
+    }
+    output(options, tasks, () => printDetails(username, tasks));
+    return;
+  }
+
+  if (command === 'add') {
+    const types = parseTypes(options.type, ['posts']);
+    const maxCount = options.max ? parseMaxCount(options.max) : null;
+    const frequency = options.frequency ? parseFrequency(options.frequency) : null;
+
+    for (const type of types) {
+      await database.upsertTask(username, type, maxCount);
+      if (frequency) {
+        await database.setFrequencyOverride(username, frequency, type);
+      }
+    }
+
+    const tasks = await database.listTasks({ username });
+    output(options, tasks, () => {
+      console.log(`✅ 已添加 @${username}: ${types.join(', ')}`);
+      printTasks(tasks);
+    });
+    return;
+  }
+
+  let affected;
+  let message;
+
+  if (command === 'remove') {
+    affected = await applyToTypes(scopeTypes, type => database.deleteTasks(username, type));
+    message = `🗑️  已删除 @${username}${scopeLabel} ${affected} 个任务`;
+  } else if (command === 'enable' || command === 'disable') {
+    const enabled = command === 'enable';
+    affected = await applyToTypes(scopeTypes, type => database.setTasksEnabled(username, enabled, type));
+    message = `${enabled ? '✅ 已启用' : '⏸️  已暂停'} @${username}${scopeLabel} ${affected} 个任务`;
+  } else if (command === 'set-max') {
+    if (args[0] === undefined) {
+      throw new Error('请指定数量，例如: set-max <username> 500');
+    }
+    const maxCount = parseMaxCount(args[0]);
+    affected = await applyToTypes(scopeTypes, type => database.setTaskMaxCount(username, maxCount, type));
+    message = `✅ @${username}${scopeLabel} 最大采集数量: ${maxCount ?? '(全局配置)'}，更新 ${affected} 个任务`;
+  } else if (command === 'set-frequency') {
+    if (args[0] === undefined) {
+      throw new Error('请指定频率分组，例如: set-frequency <username> high');
+    }
+    const frequency = args[0] === 'auto' ? null : parseFrequency(args[0]);
+    affected = await applyToTypes(scopeTypes, type => database.setFrequencyOverride(username, frequency, type));
+    message = `✅ @${username}${scopeLabel} 频率分组: ${frequency || '自动'}，更新 ${affected} 个任务`;
+  } else {
+    throw new Error(`未知命令: ${command}`);
+  }
+
+  if (affected === 0) {
+    throw new Error(`用户 @${username}${scopeLabel} 没有任务`);
+  }
+
+  output(options, { username, affected }, () => console.log(message));
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const [command, target, ...args] = options._;
+
+  if (options.help || !command) {
+    showHelp();
+    process.exit(0);
+  }
+
+  // JSON 模式下 stdout 只输出结果，日志改写到 stderr
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  const database = new DatabaseManager(config.database);
+
+  try {
+    await database.init();
+    await runCommand(database, command, target, args, options);
+  } catch (error) {
+    console.error('❌ 操作失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import config from '../config.js';
+import { DatabaseManager } from './modules/DatabaseManager.js';
+import { ThreadResolver } from './modules/ThreadResolver.js';
+import { parseArgs } from './modules/CommandLine.js';
+
+const FORMATS = ['json', 'markdown', 'both'];
+
+// 显示帮助信息
+function showHelp() {
+  console.log(`
+对话导出 - 使用说明
+
+用法:
+  npm run thread -- <conversationId>       # 导出完整对话树 (也可以传对话中任意一条推文的ID)
+  npm run thread -- <id> --format=markdown
+  npm run thread -- <id> --stdout          # 直接输出到终端，不写文件
+
+选项:
+  --format=<json|markdown|both>    # 输出格式 (默认: both)
+  --output=<dir>                   # 输出目录 (默认: ${config.output.directory})
+  --stdout                         # 输出到 stdout (both 时只输出 Markdown)
+
+说明:
+  回复关系标记为 guessed 的推文在 Markdown 中注明"回复关系为推测"，JSON 中见 thread_confidence
+  旧数据可先执行 npm run backfill -- threads 重新解析
+`);
+}
+
+// 主入口
+async function main() {
+  const options = parseArgs();
+  const id = options._[0] ? String(options._[0]) : null;
+
+  if (options.help || !id) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const format = options.format || 'both';
+  if (!FORMATS.includes(format)) {
+    console.error(`❌ 不支持的格式: ${format} (可选: ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  // stdout 只输出结果，日志改写到 stderr
+  if (options.stdout) {
+    console.log = console.error;
+  }
+
+  const database = new DatabaseManager(config.database);
+  const resolver = new ThreadResolver();
+
+  try {
+    await database.init();
+
+    const conversation = await database.getConversation(id);
+    if (!conversation) {
+      throw new Error(`未找到对话: ${id}`);
+    }
+
+    const tree = resolver.buildTree(conversation.conversationId, conversation.posts);
+    const json = JSON.stringify(tree, null, 2) + '\n';
+
+    if (options.stdout) {
+      process.stdout.write(format === 'json' ? json : resolver.toMarkdown(tree));
+      return;
+    }
+
+    const directory = options.output || config.output.directory;
+    fs.mkdirSync(directory, { recursive: true });
+    const basePath = path.join(directory, `conversation_${tree.conversation_id}`);
+
+    if (format === 'json' || format === 'both') {
+      fs.writeFileSync(`${basePath}.json`, json);
+      console.log(`✅ JSON文件已保存: ${basePath}.json`);
+    }
+    if (format === 'markdown' || format === 'both') {
+      fs.writeFileSync(`${basePath}.md`, resolver.toMarkdown(tree));
+      console.log(`✅ Markdown文件已保存: ${basePath}.md`);
+    }
+
+    console.log(`🧵 对话 ${tree.conversation_id}: ${tree.post_count} 条推文, ${tree.roots.length} 个根节点`);
+  } catch (error) {
+    console.error('❌ 导出失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
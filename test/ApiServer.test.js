@@ -0,0 +1,226 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiServer } from '../src/modules/ApiServer.js';
+import { IncrementalCollector } from '../src/modules/IncrementalCollector.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+
+const TOKEN = 'test-token';
+
+function postRow(id, overrides = {}) {
+  return {
+    tweet_id: String(id),
+    text: `post ${id}`,
+    type: 'Tweet',
+    published_at: new Date(Date.UTC(2024, 0, 1) + id * 60 * 60 * 1000).toISOString(),
+    reply_count: 0,
+    retweet_count: 0,
+    favorite_count: id,
+    author_username: 'alice',
+    ...overrides
+  };
+}
+
+describe('ApiServer', () => {
+  let database;
+  let collector;
+  let server;
+  let baseUrl;
+
+  function request(path, { token = TOKEN, headers = {}, method = 'GET' } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}`, ...headers } : headers
+    });
+  }
+
+  async function getJson(path, options) {
+    const response = await request(path, options);
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+
+    database = new MemoryDatabase();
+    await database.init();
+    collector = new IncrementalCollector({}, database);
+
+    await collector.processCollectedData('alice', 'posts', [1, 2, 3, 4, 5].map(id => postRow(id)));
+    await collector.processCollectedData('alice', 'posts', [postRow(6, { type: 'Retweet' }), postRow(5, { text: 'post 5 (edited)' })]);
+    await collector.processCollectedData('alice', 'following', [1, 2, 3].map(id => ({
+      user_id: String(100 + id), username: `friend${id}`, name: `Friend ${id}`, followers_count: id * 10, following_count: 1
+    })));
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('alice', 'following');
+
+    server = new ApiServer({ token: TOKEN, defaultPageSize: 100, maxPageSize: 1000 }, database);
+    const address = await server.start(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  after(async () => {
+    await server.stop();
+    await database.close();
+    mock.restoreAll();
+  });
+
+  describe('认证与请求方法', () => {
+    it('/health 不需要 token', async () => {
+      const { status, body } = await getJson('/health', { token: null });
+      assert.equal(status, 200);
+      assert.deepEqual(body, { status: 'ok' });
+    });
+
+    it('缺少或错误的 token 返回 401', async () => {
+      const missing = await request('/api/users', { token: null });
+      assert.equal(missing.status, 401);
+      assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+      const wrong = await request('/api/users', { token: 'nope' });
+      assert.equal(wrong.status, 401);
+    });
+
+    it('只接受 GET/HEAD', async () => {
+      const response = await request('/api/users', { method: 'POST' });
+      assert.equal(response.status, 405);
+      assert.equal(response.headers.get('allow'), 'GET, HEAD');
+    });
+
+    it('未配置 token 时拒绝启动', async () => {
+      await assert.rejects(new ApiServer({}, database).start(0), /API_TOKEN/);
+    });
+  });
+
+  describe('用户', () => {
+    it('返回用户资料，不存在时 404', async () => {
+      const { status, body } = await getJson('/api/users/@alice');
+      assert.equal(status, 200);
+      assert.equal(body.data.username, 'alice');
+
+      const missing = await getJson('/api/users/nobody');
+      assert.equal(missing.status, 404);
+      assert.match(missing.body.error, /nobody/);
+    });
+
+    it('按用户名过滤用户列表', async () => {
+      const { body } = await getJson('/api/users?username=friend1,friend3');
+      assert.deepEqual(body.data.map(user => user.username).sort(), ['friend1', 'friend3']);
+      assert.equal(body.next_cursor, null);
+    });
+  });
+
+  describe('推文', () => {
+    it('默认新的在前，按游标翻页读取全部', async () => {
+      const ids = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const { status, body } = await getJson(`/api/users/alice/posts?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(status, 200);
+        ids.push(...body.data.map(post => String(post.tweet_id)));
+        cursor = body.next_cursor;
+        pages++;
+      } while (cursor && pages < 10);
+
+      assert.deepEqual(ids, ['6', '5', '4', '3', '2', '1']);
+    });
+
+    it('支持 order=asc 和类型过滤', async () => {
+      const { body } = await getJson('/api/users/alice/posts?order=asc&type=Tweet');
+      assert.deepEqual(body.data.map(post => String(post.tweet_id)), ['1', '2', '3', '4', '5']);
+    });
+
+    it('默认返回最新正文，text=revisions 附带编辑版本', async () => {
+      const latest = await getJson('/api/users/alice/posts?type=Tweet&min_engagement=5');
+      assert.equal(latest.body.data[0].text, 'post 5 (edited)');
+      assert.equal(latest.body.data[0].revisions, undefined);
+
+      const revisions = await getJson('/api/users/alice/posts?type=Tweet&min_engagement=5&text=revisions');
+      assert.deepEqual(revisions.body.data[0].revisions.map(revision => revision.text), ['post 5', 'post 5 (edited)']);
+    });
+
+    it('未采集的用户返回 404', async () => {
+      const { status } = await getJson('/api/users/nobody/posts');
+      assert.equal(status, 404);
+    });
+
+    it('无效的参数返回 400', async () => {
+      for (const query of ['limit=abc', 'since=yesterday', 'cursor=not-a-cursor', 'order=random', 'text=all']) {
+        const { status, body } = await getJson(`/api/users/alice/posts?${query}`);
+        assert.equal(status, 400, query);
+        assert.ok(body.error);
+      }
+    });
+
+    it('游标的长度和元素类型不对时返回 400', async () => {
+      const encode = key => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+      for (const key of [[null], [{}], [[1]], [true], [1, 2], []]) {
+        const { status } = await getJson(`/api/users/alice/posts?cursor=${encode(key)}`);
+        assert.equal(status, 400, JSON.stringify(key));
+      }
+
+      // following 的主键是 (source_user_id, target_user_id)
+      assert.equal((await getJson(`/api/users/alice/following?cursor=${encode([1])}`)).status, 400);
+      assert.equal((await getJson(`/api/users/alice/following?cursor=${encode([1, 2])}`)).status, 200);
+    });
+  });
+
+  describe('关注与任务', () => {
+    it('返回关注列表', async () => {
+      const { body } = await getJson('/api/users/alice/following?min_followers=20');
+      assert.deepEqual(body.data.map(user => user.username).sort(), ['friend2', 'friend3']);
+    });
+
+    it('按类型过滤任务', async () => {
+      const { body } = await getJson('/api/tasks?username=alice&type=following');
+      assert.equal(body.data.length, 1);
+      assert.equal(body.data[0].task_type, 'following');
+
+      const invalid = await getJson('/api/tasks?type=likes');
+      assert.equal(invalid.status, 400);
+    });
+
+    it('返回运行记录，不存在时 404', async () => {
+      const runId = await database.createRun({ workerId: 'runner-a' });
+      await database.recordRunTask(runId, {
+        username: 'alice', type: 'posts', status: 'success', dataCount: 6, newDataCount: 6, duration: 1000
+      });
+
+      const list = await getJson('/api/runs');
+      assert.deepEqual(list.body.data.map(run => run.id), [runId]);
+
+      const detail = await getJson(`/api/runs/${runId}`);
+      assert.equal(detail.body.data.worker_id, 'runner-a');
+      assert.equal(detail.body.data.tasks.length, 1);
+
+      const history = await getJson('/api/users/alice/runs');
+      assert.equal(history.body.data.length, 1);
+
+      assert.equal((await getJson('/api/runs/999')).status, 404);
+    });
+  });
+
+  describe('ETag', () => {
+    it('内容未变化时返回 304，变化后返回新的 ETag', async () => {
+      const first = await request('/api/users/alice/following');
+      const etag = first.headers.get('etag');
+      assert.ok(etag);
+
+      const cached = await request('/api/users/alice/following', { headers: { 'If-None-Match': etag } });
+      assert.equal(cached.status, 304);
+      assert.equal(await cached.text(), '');
+
+      await collector.processCollectedData('alice', 'following', [1, 2, 3, 4].map(id => ({
+        user_id: String(100 + id), username: `friend${id}`, name: `Friend ${id}`, followers_count: id * 10, following_count: 1
+      })));
+
+      const changed = await request('/api/users/alice/following', { headers: { 'If-None-Match': etag } });
+      assert.equal(changed.status, 200);
+      assert.notEqual(changed.headers.get('etag'), etag);
+    });
+  });
+});
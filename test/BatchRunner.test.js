@@ -0,0 +1,243 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BatchRunner } from '../src/modules/BatchRunner.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+import { ERROR_CATEGORIES, createTaskError } from '../src/modules/TaskErrors.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('BatchRunner', () => {
+  let database;
+  let reportDir;
+  let collected;
+
+  // 按用户名返回结果或抛出错误的采集器，记录执行顺序
+  function createScraper(outcomes = {}) {
+    return {
+      collectForUser: async user => {
+        collected.push(`${user.username}/${user.type}`);
+        const outcome = outcomes[user.username];
+        if (outcome instanceof Error) throw outcome;
+        return outcome || { total: 10, new: 2 };
+      }
+    };
+  }
+
+  function createRunner(scraper, batch = {}) {
+    const config = {
+      target: { maxCount: 100 },
+      batch: {
+        workerId: 'runner-a',
+        continueOnError: true,
+        reportFile: path.join(reportDir, 'batch-report.json'),
+        ...batch
+      }
+    };
+    return new BatchRunner(scraper, config, database);
+  }
+
+  async function getTask(username, type) {
+    const [task] = await database.listTasks({ username, taskType: type });
+    return task;
+  }
+
+  async function query(sql, params = []) {
+    const connection = await database.getConnection();
+    try {
+      const [rows] = await connection.query(sql, params);
+      return rows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  beforeEach(async () => {
+    database = new MemoryDatabase();
+    await database.init();
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-report-'));
+    collected = [];
+  });
+
+  afterEach(async () => {
+    await database.close();
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  });
+
+  it('领取到期任务，执行后更新频率分组并释放租约', async () => {
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('alice', 'followers');
+
+    const report = await createRunner(createScraper()).run();
+
+    assert.equal(report.successCount, 2);
+    assert.equal(report.totalNewData, 4);
+    assert.deepEqual(collected.sort(), ['alice/followers', 'alice/posts']);
+
+    for (const type of ['posts', 'followers']) {
+      const task = await getTask('alice', type);
+      assert.equal(task.status, 'completed');
+      assert.equal(task.leased_by, null);
+      assert.ok(task.next_run_time > new Date(), `${type} 下次运行时间应在未来`);
+    }
+    assert.equal((await getTask('alice', 'followers')).frequency_group, 'low');
+  });
+
+  it('跳过未到期和已禁用的任务', async () => {
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('bob', 'posts');
+    await database.upsertTask('carol', 'posts');
+    await database.setTasksEnabled('carol', false);
+    await query(`UPDATE scrape_tasks SET next_run_time = ? WHERE username = 'bob'`, [
+      database.parseDateTime(new Date(Date.now() + 60 * 60 * 1000))
+    ]);
+
+    const report = await createRunner(createScraper()).run();
+
+    assert.equal(report.totalUsers, 1);
+    assert.deepEqual(collected, ['alice/posts']);
+  });
+
+  it('只领取指定频率组的任务', async () => {
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('bob', 'posts');
+    await query(`UPDATE scrape_tasks SET frequency_group = 'high' WHERE username = 'alice'`);
+    await query(`UPDATE scrape_tasks SET frequency_group = 'low' WHERE username = 'bob'`);
+
+    await createRunner(createScraper()).run({ frequency: 'low' });
+
+    assert.deepEqual(collected, ['bob/posts']);
+  });
+
+  it('不领取其他 runner 租约未过期的任务', async () => {
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('bob', 'posts');
+    await database.claimTasks('runner-b', 'all', 1, 900);
+
+    await createRunner(createScraper()).run();
+
+    assert.equal(collected.length, 1);
+    const other = (await database.listTasks()).find(task => task.leased_by === 'runner-b');
+    assert.ok(other, 'runner-b 的租约应保留');
+    assert.notEqual(collected[0], `${other.username}/posts`);
+  });
+
+  it('候选任务只包含被抽中用户已到期的任务', async () => {
+    await database.upsertTask('alice', 'posts');
+    await database.upsertTask('alice', 'followers');
+    await query(`UPDATE scrape_tasks SET next_run_time = ? WHERE task_type = 'followers'`, [
+      database.parseDateTime(new Date(Date.now() + 60 * 60 * 1000))
+    ]);
+
+    const candidates = await database.getPendingTasksByFrequency('all', 10);
+    assert.deepEqual(candidates.map(task => task.task_type), ['posts']);
+
+    const claimed = await database.claimTasks('runner-a', 'all', 10, 900);
+    assert.deepEqual(claimed.map(task => task.task_type), ['posts']);
+  });
+
+  it('查询候选之后被其他 runner 执行完的任务不再领取', async () => {
+    await database.upsertTask('alice', 'posts');
+    const candidates = await database.getPendingTasksByFrequency('all', 10);
+
+    // 其他 runner 在此期间完成了任务: 推后 next_run_time 并释放租约
+    await query(`UPDATE scrape_tasks SET status = 'completed', next_run_time = ? WHERE username = 'alice'`, [
+      database.parseDateTime(new Date(Date.now() + 60 * 60 * 1000))
+    ]);
+    mock.method(database, 'getPendingTasksByFrequency', async () => candidates);
+
+    assert.deepEqual(await database.claimTasks('runner-a', 'all', 10, 900), []);
+  });
+
+  it('任务记录为成功之后再归档媒体，归档失败不影响任务结果', async () => {
+    await database.upsertTask('alice', 'posts');
+    const references = [{ url: 'https://pbs.twimg.com/media/a.jpg', kind: 'post', ownerId: '1' }];
+    let statusWhenArchiving = null;
+
+    const scraper = {
+      collectForUser: async () => ({ total: 10, new: 2, mediaReferences: references }),
+      archiveMedia: async received => {
+        assert.deepEqual(received, references);
+        statusWhenArchiving = (await getTask('alice', 'posts')).status;
+        throw new Error('download failed');
+      }
+    };
+
+    const report = await createRunner(scraper).run();
+
+    assert.equal(statusWhenArchiving, 'completed');
+    assert.equal(report.successCount, 1);
+    assert.equal((await getTask('alice', 'posts')).failure_count, 0);
+  });
+
+  it('失败后按指数退避推迟，连续失败达到阈值后自动禁用', async () => {
+    await database.upsertTask('ghost', 'posts');
+    const scraper = createScraper({ ghost: createTaskError('用户不存在', ERROR_CATEGORIES.NOT_FOUND) });
+    const runner = () => createRunner(scraper, { disableAfterFailures: 2, failureBackoffMinutes: 60 });
+
+    const first = await runner().run();
+    let task = await getTask('ghost', 'posts');
+    assert.equal(first.errorCategories[ERROR_CATEGORIES.NOT_FOUND], 1);
+    assert.equal(task.failure_count, 1);
+    assert.equal(task.enabled, true);
+    assert.equal(task.leased_by, null);
+    assert.ok(task.next_run_time > new Date(Date.now() + 59 * 60 * 1000), '应推迟至少 1 小时');
+
+    // 推迟期间不会再次领取
+    await runner().run();
+    assert.equal(collected.length, 1);
+
+    await query(`UPDATE scrape_tasks SET next_run_time = NULL`);
+    const third = await runner().run();
+    task = await getTask('ghost', 'posts');
+    assert.equal(task.failure_count, 2);
+    assert.equal(task.enabled, false);
+    assert.deepEqual(third.disabledTasks.map(t => t.username), ['ghost']);
+  });
+
+  it('成功后清零连续失败次数', async () => {
+    await database.upsertTask('alice', 'posts');
+    await query(`UPDATE scrape_tasks SET failure_count = 3`);
+
+    await createRunner(createScraper()).run();
+
+    assert.equal((await getTask('alice', 'posts')).failure_count, 0);
+  });
+
+  it('continueOnError 关闭时遇错停止，并释放剩余任务的租约', async () => {
+    for (const username of ['alice', 'bob', 'carol']) {
+      await database.upsertTask(username, 'posts');
+    }
+    const scraper = createScraper({
+      alice: new Error('boom'), bob: new Error('boom'), carol: new Error('boom')
+    });
+
+    const report = await createRunner(scraper, { continueOnError: false }).run();
+
+    assert.equal(collected.length, 1);
+    assert.equal(report.errorCount, 1);
+    assert.equal(report.globalError, 'boom');
+
+    const leased = (await database.listTasks()).filter(task => task.leased_by);
+    assert.deepEqual(leased, []);
+  });
+
+  it('运行结果写入 scrape_runs', async () => {
+    await database.upsertTask('alice', 'posts');
+
+    const report = await createRunner(createScraper()).run();
+
+    const { run, tasks } = await database.getRun(report.runId);
+    assert.equal(run.worker_id, 'runner-a');
+    assert.equal(run.status, 'completed');
+    assert.equal(run.success_count, 1);
+    assert.equal(tasks.length, 1);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ColumnMapper } from '../src/modules/ColumnMapper.js';
+
+// 临时映射目录 (package.json 声明 ESM，映射文件才能按 .js 导入)
+function createMappingsDir(profiles) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mappings-'));
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+  for (const [file, profile] of Object.entries(profiles)) {
+    fs.writeFileSync(path.join(dir, file), `export default ${JSON.stringify(profile)};\n`);
+  }
+  return dir;
+}
+
+describe('ColumnMapper', () => {
+  describe('内置映射', () => {
+    const mapper = new ColumnMapper();
+
+    it('按表头识别 TwExport 并转为标准字段', async () => {
+      const { rows, profile } = await mapper.map('posts', [
+        { 'ID': '1', 'Text': 'hello', 'Created At': '2024-01-01', 'Favorite Count': '3', 'Extra': 'x' }
+      ]);
+
+      assert.equal(profile.id, 'twexport-2.6');
+      assert.deepEqual(rows, [{ tweet_id: '1', text: 'hello', favorite_count: '3', published_at: '2024-01-01' }]);
+    });
+
+    it('CSV 表头和 JSON 字段名都能识别', async () => {
+      const csv = await mapper.map('followers', [{ 'User ID': '10', 'Username': 'alice' }]);
+      const json = await mapper.map('following', [{ user_id: '10', user_name: 'alice', profile_banner_url: 'https://a/b' }]);
+
+      assert.equal(csv.profile.id, 'twitter-export-follower-3.8');
+      assert.deepEqual(csv.rows, [{ user_id: '10', username: 'alice' }]);
+      assert.deepEqual(json.rows, [{ user_id: '10', username: 'alice', banner_url: 'https://a/b' }]);
+    });
+
+    it('一个表头都不命中时按标准字段原样读取，缺少的字段不写入', async () => {
+      const { rows, profile } = await mapper.map('posts', [{ tweet_id: '1', conversation_id: '9', unknown: 'x' }]);
+
+      assert.equal(profile, null);
+      assert.deepEqual(rows, [{ tweet_id: '1', conversation_id: '9' }]);
+    });
+
+    it('未知类型和空数据原样返回', async () => {
+      const rows = [{ a: 1 }];
+      assert.deepEqual(await mapper.map('likes', rows), { rows, profile: null });
+      assert.deepEqual(await mapper.map('posts', []), { rows: [], profile: null });
+    });
+  });
+
+  describe('自定义映射', () => {
+    let dir;
+
+    before(() => {
+      dir = createMappingsDir({
+        'a-1.0.js': { id: 'a-1.0', model: 'post', columns: { tweet_id: 'Id', text: 'Body' } },
+        'b-2.0.js': { id: 'b-2.0', model: 'post', columns: { tweet_id: 'Id', text: 'Content', published_at: 'Date' } }
+      });
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('选择表头命中最多的映射', async () => {
+      const mapper = new ColumnMapper({}, dir);
+
+      assert.equal((await mapper.detect('post', [{ Id: '1', Body: 'x' }])).id, 'a-1.0');
+      assert.equal((await mapper.detect('post', [{ Id: '1', Content: 'x', Date: 'y' }])).id, 'b-2.0');
+      // 命中数相同时取先读取的
+      assert.equal((await mapper.detect('post', [{ Id: '1' }])).id, 'a-1.0');
+      assert.equal(await mapper.detect('user', [{ Id: '1' }]), null);
+    });
+
+    it('配置了 profile 时直接使用，不存在时报错', async () => {
+      const mapper = new ColumnMapper({ post: 'b-2.0' }, dir);
+      assert.equal((await mapper.detect('post', [{ Id: '1', Body: 'x' }])).id, 'b-2.0');
+
+      await assert.rejects(new ColumnMapper({ post: 'c-3.0' }, dir).detect('post', []), /未找到 post 列映射: c-3.0 \(可选: a-1.0, b-2.0\)/);
+    });
+
+    it('映射文件格式不对或包含未知字段时报错', async () => {
+      const invalid = createMappingsDir({ 'bad.js': { id: 'bad', model: 'tweet', columns: {} } });
+      const unknown = createMappingsDir({ 'odd.js': { id: 'odd', model: 'user', columns: { tweet_id: 'ID' } } });
+
+      try {
+        await assert.rejects(new ColumnMapper({}, invalid).loadProfiles(), /映射文件必须导出/);
+        await assert.rejects(new ColumnMapper({}, unknown).loadProfiles(), /映射文件 odd.js 包含未知字段: tweet_id/);
+        await assert.rejects(new ColumnMapper({}, path.join(invalid, 'missing')).loadProfiles(), /映射目录不存在/);
+      } finally {
+        fs.rmSync(invalid, { recursive: true, force: true });
+        fs.rmSync(unknown, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,315 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IncrementalCollector } from '../src/modules/IncrementalCollector.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+import { ERROR_CATEGORIES, classifyError } from '../src/modules/TaskErrors.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+// TwExport 2.6 CSV 导出的一行
+function postRow(id, overrides = {}) {
+  return {
+    'ID': String(id),
+    'Text': `post ${id}`,
+    'Type': 'Tweet',
+    'Created At': new Date(Date.UTC(2024, 0, 1) + id * 60 * 60 * 1000).toISOString(),
+    'Reply Count': '1',
+    'Retweet Count': '2',
+    'Favorite Count': '3',
+    'Author Username': 'alice',
+    ...overrides
+  };
+}
+
+// Twitter Export Follower 3.8 CSV 导出的一行
+function userRow(id) {
+  return {
+    'User ID': String(id),
+    'Username': `user${id}`,
+    'Name': `User ${id}`,
+    'Followers Count': '10',
+    'Following Count': '20'
+  };
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+describe('IncrementalCollector', () => {
+  let database;
+  let collector;
+
+  beforeEach(async () => {
+    database = new MemoryDatabase();
+    await database.init();
+    collector = new IncrementalCollector({ validation: { maxRejectionRate: 0.2 } }, database);
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    await database.close();
+  });
+
+  describe('posts', () => {
+    it('首次导入全部计为新增，再次导入计为更新', async () => {
+      const first = await collector.processCollectedData('alice', 'posts', range(1, 5).map(id => postRow(id)));
+      assert.equal(first.total, 5);
+      assert.equal(first.new, 5);
+      assert.equal(first.updated, 0);
+      assert.equal(first.rejected, 0);
+
+      const second = await collector.processCollectedData('alice', 'posts', range(4, 8).map(id => postRow(id)));
+      assert.equal(second.new, 3);
+      assert.equal(second.updated, 2);
+
+      const userId = await database.getUserIdByUsername('alice');
+      assert.equal(await database.countCollectedPosts(userId), 8);
+    });
+
+    it('同一批次内重复的ID只计一次', async () => {
+      const result = await collector.processCollectedData('alice', 'posts', [postRow(1), postRow(2), postRow(1)]);
+      assert.equal(result.new, 2);
+      assert.equal(result.updated, 0);
+    });
+
+    it('列映射后以标准字段入库', async () => {
+      const result = await collector.processCollectedData('alice', 'posts', [postRow(1, { 'Text': 'hello' })]);
+      assert.equal(result.data[0].tweet_id, '1');
+      assert.equal(result.data[0].text, 'hello');
+      assert.equal(result.data[0].favorite_count, '3');
+    });
+
+    it('互动数据快照与推文的互动数一致', async () => {
+      await collector.processCollectedData('alice', 'posts', [postRow(1, { 'Quote Count': '4', 'View Count': '100' })]);
+
+      const [snapshot] = await database.getPostMetricsHistory('1');
+      assert.equal(Number(snapshot.view_count), 100);
+      assert.equal(Number(snapshot.reply_count), 1);
+      assert.equal(Number(snapshot.retweet_count), 2);
+      assert.equal(Number(snapshot.quote_count), 4);
+      assert.equal(Number(snapshot.favorite_count), 3);
+    });
+
+    it('按推文字段拆分话题、链接和提及', async () => {
+      await collector.processCollectedData('alice', 'posts', [postRow(1, {
+        'Text': 'hi @bob #news',
+        'hashtags': 'AI',
+        'urls': 'https://example.com/a',
+        'media_urls': 'https://pbs.twimg.com/media/x.jpg'
+      })]);
+
+      const connection = await database.getConnection();
+      try {
+        const [hashtags] = await connection.query('SELECT tag FROM post_hashtags ORDER BY tag');
+        const [urls] = await connection.query('SELECT kind, domain FROM post_urls ORDER BY kind');
+        const [mentions] = await connection.query('SELECT username FROM post_mentions');
+
+        assert.deepEqual(hashtags.map(row => row.tag), ['ai', 'news']);
+        assert.deepEqual(urls.map(row => `${row.kind}:${row.domain}`), ['link:example.com', 'media:pbs.twimg.com']);
+        assert.deepEqual(mentions.map(row => row.username), ['bob']);
+      } finally {
+        connection.release();
+      }
+    });
+
+    it('不合格的行被隔离，其余照常入库', async () => {
+      const rows = range(1, 10).map(id => postRow(id));
+      rows[3] = postRow(4, { 'Created At': 'yesterday' });
+
+      const result = await collector.processCollectedData('alice', 'posts', rows);
+      assert.equal(result.rejected, 1);
+      assert.equal(result.new, 9);
+
+      const quarantined = await database.getQuarantinedRows({ username: 'alice' });
+      assert.equal(quarantined.length, 1);
+      assert.equal(quarantined[0].row_index, 3);
+      assert.match(quarantined[0].reasons, /published_at/);
+      assert.equal(quarantined[0].raw_data['Created At'], 'yesterday');
+    });
+
+    it('不合格比例超过上限时任务失败且不入库', async () => {
+      const rows = range(1, 10).map(id => postRow(id, id <= 3 ? { 'Reply Count': 'n/a' } : {}));
+
+      await assert.rejects(
+        collector.processCollectedData('alice', 'posts', rows),
+        error => classifyError(error) === ERROR_CATEGORIES.INVALID_DATA
+      );
+
+      assert.equal(await database.getUserIdByUsername('alice'), null);
+      assert.equal((await database.getQuarantinedRows({ username: 'alice' })).length, 3);
+    });
+
+    it('写入失败时整个事务回滚', async () => {
+      mock.method(database, 'batchUpsertPosts', async () => {
+        throw new Error('disk full');
+      });
+
+      await assert.rejects(
+        collector.processCollectedData('alice', 'posts', [postRow(1)]),
+        /disk full/
+      );
+
+      assert.equal(await database.getUserIdByUsername('alice'), null);
+    });
+
+    it('连续两次未出现在导出中的推文标记为疑似删除', async () => {
+      await collector.processCollectedData('alice', 'posts', range(1, 5).map(id => postRow(id)));
+
+      const withoutThree = range(1, 5).filter(id => id !== 3).map(id => postRow(id));
+      const first = await collector.processCollectedData('alice', 'posts', withoutThree);
+      assert.deepEqual(first.suspectedDeleted, []);
+
+      const second = await collector.processCollectedData('alice', 'posts', withoutThree);
+      assert.deepEqual(second.suspectedDeleted.map(post => String(post.tweet_id)), ['3']);
+    });
+
+    it('实体表的重复行被忽略，不影响入库', async () => {
+      // MySQL 的默认排序规则下 #café 与 #cafe 冲突，这里用同一推文的两行模拟主键冲突
+      const post = { tweet_id: '1', text: '#cafe @bob', hashtags: 'cafe' };
+      const connection = await database.getConnection();
+      try {
+        const counts = await database.replacePostEntities(connection, [post, { ...post }]);
+        assert.equal(counts.hashtags, 1);
+        assert.equal(counts.mentions, 1);
+      } finally {
+        connection.release();
+      }
+    });
+  });
+
+  describe('following', () => {
+    it('完整导出中消失的关注标记为取关', async () => {
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+      const first = await collector.processCollectedData('alice', 'following', range(1, 4).map(userRow));
+      assert.equal(first.new, 4);
+      assert.equal(first.removed, 0);
+
+      mock.timers.tick(60 * 1000);
+      const second = await collector.processCollectedData('alice', 'following', range(1, 3).map(userRow));
+      assert.equal(second.total, 3);
+      assert.equal(second.new, 0);
+      assert.equal(second.updated, 3);
+      assert.equal(second.removed, 1);
+    });
+
+    it('完整导出中超过一半的关注消失时全部标记为取关', async () => {
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+      await collector.processCollectedData('alice', 'following', range(1, 10).map(userRow));
+
+      mock.timers.tick(60 * 1000);
+      const second = await collector.processCollectedData('alice', 'following', range(1, 2).map(userRow));
+      assert.equal(second.removed, 8);
+
+      // 之后的完整导出照常记录取关
+      mock.timers.tick(60 * 1000);
+      const third = await collector.processCollectedData('alice', 'following', [userRow(1)]);
+      assert.equal(third.removed, 1);
+    });
+
+    it('达到 maxCount 的导出可能被截断，不标记取关', async () => {
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+      await collector.processCollectedData('alice', 'following', range(1, 4).map(userRow));
+
+      mock.timers.tick(60 * 1000);
+      const result = await collector.processCollectedData('alice', 'following', range(1, 3).map(userRow), { maxCount: 3 });
+      assert.equal(result.removed, 0);
+    });
+
+    it('同一秒内再次导入不计为新增', async () => {
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+      await collector.processCollectedData('alice', 'following', range(1, 4).map(userRow));
+
+      const again = await collector.processCollectedData('alice', 'following', range(1, 5).map(userRow));
+      assert.equal(again.new, 1);
+      assert.equal(again.updated, 4);
+    });
+
+    it('取关后重新关注，两段关注区间都保留', async () => {
+      const start = Date.parse('2024-01-01T00:00:00Z');
+      const minute = 60 * 1000;
+      const usernamesAt = async offset => (await database.getRelationsAsOf('alice', 'following', new Date(start + offset)))
+        .map(user => user.username)
+        .sort();
+
+      mock.timers.enable({ apis: ['Date'], now: start });
+      await collector.processCollectedData('alice', 'following', range(1, 4).map(userRow));
+      mock.timers.tick(10 * minute);
+      await collector.processCollectedData('alice', 'following', range(1, 3).map(userRow));
+      mock.timers.tick(10 * minute);
+      const refollow = await collector.processCollectedData('alice', 'following', range(1, 4).map(userRow));
+      assert.equal(refollow.new, 1);
+
+      assert.deepEqual(await usernamesAt(5 * minute), ['user1', 'user2', 'user3', 'user4']);
+      assert.deepEqual(await usernamesAt(15 * minute), ['user1', 'user2', 'user3']);
+      assert.deepEqual(await usernamesAt(25 * minute), ['user1', 'user2', 'user3', 'user4']);
+
+      const changes = await database.getRelationChanges('alice', 'following', new Date(start + minute), new Date(start + 30 * minute));
+      assert.deepEqual(changes.added.map(user => user.username), ['user4']);
+      assert.deepEqual(changes.removed.map(user => user.username), ['user4']);
+    });
+  });
+
+  describe('followers', () => {
+    it('统计新增和更新的关注者', async () => {
+      // 两次导入在同一秒内，user1 不会被标记为取关 (跨秒时结果取决于运行速度)
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+      await collector.processCollectedData('alice', 'followers', range(1, 3).map(userRow));
+      const result = await collector.processCollectedData('alice', 'followers', range(2, 5).map(userRow));
+
+      assert.equal(result.new, 2);
+      assert.equal(result.updated, 2);
+
+      const userId = await database.getUserIdByUsername('alice');
+      assert.equal(await database.countCollectedFollowers(userId, 'follower'), 5);
+    });
+
+    it('取关后重新关注，之前的关注区间仍可还原', async () => {
+      const start = Date.parse('2024-01-01T00:00:00Z');
+      const minute = 60 * 1000;
+
+      mock.timers.enable({ apis: ['Date'], now: start });
+      await collector.processCollectedData('alice', 'followers', range(1, 4).map(userRow));
+      mock.timers.tick(10 * minute);
+      await collector.processCollectedData('alice', 'followers', range(1, 3).map(userRow));
+      mock.timers.tick(10 * minute);
+      const refollow = await collector.processCollectedData('alice', 'followers', range(1, 4).map(userRow));
+      assert.equal(refollow.new, 1);
+
+      const before = await database.getRelationsAsOf('alice', 'followers', new Date(start + 5 * minute));
+      assert.equal(before.length, 4);
+      const during = await database.getRelationsAsOf('alice', 'followers', new Date(start + 15 * minute));
+      assert.deepEqual(during.map(user => user.username).sort(), ['user1', 'user2', 'user3']);
+    });
+  });
+
+  describe('无数据库', () => {
+    it('返回转换后的数据，不合格的行写入隔离文件', async () => {
+      const quarantineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+      const offline = new IncrementalCollector({ validation: { maxRejectionRate: 0.5, quarantineDir } });
+
+      try {
+        const result = await offline.processCollectedData('alice', 'posts', [postRow(1), postRow(2, { 'ID': 'abc' })]);
+        assert.equal(result.total, 1);
+        assert.equal(result.new, 1);
+        assert.equal(result.rejected, 1);
+
+        const files = fs.readdirSync(quarantineDir);
+        assert.equal(files.length, 1);
+        const line = JSON.parse(fs.readFileSync(path.join(quarantineDir, files[0]), 'utf8').trim());
+        assert.equal(line.index, 1);
+        assert.equal(line.row['ID'], 'abc');
+      } finally {
+        fs.rmSync(quarantineDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
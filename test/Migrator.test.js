@@ -0,0 +1,27 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseManager } from '../src/modules/DatabaseManager.js';
+import { Migrator } from '../src/modules/Migrator.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('Migrator.up', () => {
+  it('目标版本按数值比较，--to=2 不会执行 010 之后的迁移', async () => {
+    const database = new DatabaseManager({ url: 'sqlite::memory:' });
+    await database.init();
+
+    try {
+      const migrator = new Migrator(database);
+      assert.deepEqual(await migrator.up('2'), ['001', '002']);
+
+      const rest = await migrator.up();
+      assert.equal(rest[0], '003');
+      assert.ok(rest.includes('010'));
+    } finally {
+      await database.close();
+    }
+  });
+});
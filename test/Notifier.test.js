@@ -0,0 +1,264 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Notifier, detectWebhookFormat } from '../src/modules/Notifier.js';
+import { BatchRunner } from '../src/modules/BatchRunner.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+import { ERROR_CATEGORIES, createTaskError } from '../src/modules/TaskErrors.js';
+
+function createReport(overrides = {}) {
+  return {
+    runId: 7,
+    startTime: '2025-01-01T00:00:00.000Z',
+    endTime: '2025-01-01T00:10:00.000Z',
+    duration: '10.00 分钟',
+    totalUsers: 3,
+    successCount: 2,
+    errorCount: 1,
+    totalRejectedData: 1,
+    errorCategories: { timeout: 1 },
+    disabledTasks: [],
+    suspectedDeleted: [{ username: 'alice', tweetId: '1' }],
+    globalError: null,
+    results: [
+      { username: 'alice', type: 'posts', status: 'success', newDataCount: 5 },
+      { username: 'bob', type: 'following', status: 'success', newDataCount: 3, removedDataCount: 1 },
+      { username: 'carol', type: 'posts', status: 'error', errorCategory: 'timeout', error: '任务超时' }
+    ],
+    ...overrides
+  };
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('detectWebhookFormat', () => {
+  it('按地址识别格式', () => {
+    assert.equal(detectWebhookFormat('https://hooks.slack.com/services/T/B/X'), 'slack');
+    assert.equal(detectWebhookFormat('https://discord.com/api/webhooks/1/abc'), 'discord');
+    assert.equal(detectWebhookFormat('https://discordapp.com/api/webhooks/1/abc'), 'discord');
+    assert.equal(detectWebhookFormat('https://open.feishu.cn/open-apis/bot/v2/hook/abc'), 'feishu');
+    assert.equal(detectWebhookFormat('https://open.larksuite.com/open-apis/bot/v2/hook/abc'), 'feishu');
+    assert.equal(detectWebhookFormat('https://example.com/hook'), 'generic');
+  });
+});
+
+describe('Notifier 摘要', () => {
+  it('统计任务结果、新增数据和失败用户', () => {
+    const summary = new Notifier().buildSummary(createReport(), { workerId: 'runner-a' });
+
+    assert.equal(summary.event, 'batch.finished');
+    assert.equal(summary.status, 'partial');
+    assert.equal(summary.workerId, 'runner-a');
+    assert.equal(summary.newPosts, 5);
+    assert.equal(summary.newRelations, 3);
+    assert.equal(summary.removedRelations, 1);
+    assert.equal(summary.rejectedRows, 1);
+    assert.equal(summary.suspectedDeleted, 1);
+    assert.equal(summary.loginProblem, null);
+    assert.deepEqual(summary.failingUsers.map(user => user.username), ['carol']);
+  });
+
+  it('按成功和失败数确定状态', () => {
+    const notifier = new Notifier();
+    const results = [{ username: 'alice', type: 'posts', status: 'success', newDataCount: 0 }];
+
+    assert.equal(notifier.buildSummary(createReport({ errorCount: 0, results })).status, 'success');
+    assert.equal(notifier.buildSummary(createReport({ successCount: 0 })).status, 'failed');
+    assert.equal(notifier.buildSummary(createReport({ results, globalError: '数据库连接失败' })).status, 'failed');
+  });
+
+  it('登录失效的任务标记为 loginProblem', () => {
+    const report = createReport({
+      results: [{ username: 'carol', type: 'posts', status: 'error', errorCategory: ERROR_CATEGORIES.AUTH, error: '登录已失效' }]
+    });
+    const summary = new Notifier().buildSummary(report);
+
+    assert.equal(summary.loginProblem, '登录已失效');
+    assert.ok(new Notifier().formatLines(summary).some(line => line.includes('🔐 登录失效')));
+  });
+
+  it('失败用户超过上限时只列出前几个', () => {
+    const results = Array.from({ length: 5 }, (_, i) => ({ username: `user${i}`, type: 'posts', status: 'error', error: 'x' }));
+    const summary = new Notifier({ maxFailedUsers: 2 }).buildSummary(createReport({ successCount: 0, results }));
+
+    assert.equal(summary.failingUsers.length, 2);
+    assert.equal(summary.moreFailures, 3);
+  });
+
+  it('启动失败的摘要', () => {
+    const summary = new Notifier().buildErrorSummary(createTaskError('cookie 已过期', ERROR_CATEGORIES.AUTH));
+
+    assert.equal(summary.event, 'batch.error');
+    assert.equal(summary.status, 'failed');
+    assert.equal(summary.totalTasks, 0);
+    assert.equal(summary.loginProblem, 'cookie 已过期');
+  });
+});
+
+describe('Notifier 消息格式', () => {
+  const summary = new Notifier().buildSummary(createReport());
+
+  it('Slack 使用 Block Kit', () => {
+    const payload = new Notifier().formatPayload('slack', summary);
+
+    assert.equal(payload.text, '⚠️ 批量采集部分失败 #7');
+    assert.equal(payload.blocks[0].type, 'header');
+    assert.match(payload.blocks[1].text.text, /@carol \(posts\) \[timeout\]/);
+  });
+
+  it('Discord 使用 embed', () => {
+    const [embed] = new Notifier().formatPayload('discord', summary).embeds;
+
+    assert.equal(embed.title, '⚠️ 批量采集部分失败 #7');
+    assert.equal(embed.timestamp, summary.endTime);
+    assert.equal(typeof embed.color, 'number');
+  });
+
+  it('飞书使用消息卡片，配置密钥时附带签名', () => {
+    const unsigned = new Notifier().formatPayload('feishu', summary);
+    assert.equal(unsigned.msg_type, 'interactive');
+    assert.equal(unsigned.card.header.template, 'orange');
+    assert.equal(unsigned.sign, undefined);
+
+    const signed = new Notifier({ feishuSecret: 'secret' }).formatPayload('feishu', summary);
+    const expected = crypto.createHmac('sha256', `${signed.timestamp}\nsecret`).update('').digest('base64');
+    assert.equal(signed.sign, expected);
+  });
+
+  it('generic 发送摘要字段和文本', () => {
+    const payload = new Notifier().formatPayload('generic', summary);
+
+    assert.equal(payload.status, 'partial');
+    assert.equal(payload.newPosts, 5);
+    assert.match(payload.text, /^⚠️ 批量采集部分失败 #7\n任务: 成功 2 \/ 失败 1/);
+  });
+});
+
+describe('Notifier 发送', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  // 按顺序返回 responses 中的状态码 (用完后返回 200)
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        const { status = 200, headers = {}, body: responseBody = 'ok' } = responses.shift() || {};
+        res.writeHead(status, headers);
+        res.end(responseBody);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+  });
+
+  function createNotifier(config = {}) {
+    return new Notifier({ webhooks: [`${baseUrl}/hook`], format: 'auto', maxAttempts: 3, retryDelay: 10, ...config });
+  }
+
+  it('5xx 和 429 时重试', async () => {
+    responses = [{ status: 500 }, { status: 429, headers: { 'Retry-After': '0' } }];
+
+    const delivered = await createNotifier().notifyBatch(createReport());
+
+    assert.equal(delivered, 1);
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].body.event, 'batch.finished');
+  });
+
+  it('重试次数用完后放弃，不抛出错误', async () => {
+    responses = [{ status: 503 }, { status: 503 }, { status: 503 }];
+
+    assert.equal(await createNotifier().notifyBatch(createReport()), 0);
+    assert.equal(requests.length, 3);
+  });
+
+  it('其他 4xx 不重试', async () => {
+    responses = [{ status: 400, body: 'invalid_payload' }];
+
+    assert.equal(await createNotifier().notifyBatch(createReport()), 0);
+    assert.equal(requests.length, 1);
+  });
+
+  it('飞书响应体中的错误码视为失败', async () => {
+    responses = [{ status: 200, body: JSON.stringify({ code: 19021, msg: 'sign match fail' }) }];
+
+    assert.equal(await createNotifier({ format: 'feishu' }).notifyBatch(createReport()), 0);
+    assert.equal(requests.length, 1);
+  });
+
+  it('没有执行任务时不发送，notifyOn=problems 时只在失败时发送', async () => {
+    assert.equal(await createNotifier().notifyBatch(createReport({ totalUsers: 0, results: [] })), 0);
+
+    const success = createReport({ errorCount: 0, results: [{ username: 'alice', type: 'posts', status: 'success' }] });
+    assert.equal(await createNotifier({ notifyOn: 'problems' }).notifyBatch(success), 0);
+    assert.equal(await createNotifier({ notifyOn: 'problems' }).notifyBatch(createReport()), 1);
+
+    assert.equal(requests.length, 1);
+  });
+
+  it('启动失败总是发送', async () => {
+    assert.equal(await createNotifier({ notifyOn: 'problems' }).notifyError(new Error('数据库连接失败')), 1);
+    assert.equal(requests[0].body.event, 'batch.error');
+    assert.equal(requests[0].body.globalError, '数据库连接失败');
+  });
+
+  it('BatchRunner 结束后发送摘要', async () => {
+    const database = new MemoryDatabase();
+    await database.init();
+    const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-report-'));
+
+    try {
+      await database.upsertTask('alice', 'posts');
+      await database.upsertTask('bob', 'posts');
+
+      const scraper = {
+        collectForUser: async user => {
+          if (user.username === 'bob') throw createTaskError('登录已失效', ERROR_CATEGORIES.AUTH);
+          return { total: 10, new: 4 };
+        }
+      };
+      const runner = new BatchRunner(scraper, {
+        target: { maxCount: 100 },
+        batch: { workerId: 'runner-a', continueOnError: true, reportFile: path.join(reportDir, 'batch-report.json') },
+        notify: { webhooks: [`${baseUrl}/hook`], retryDelay: 10 }
+      }, database);
+
+      await runner.run();
+
+      assert.equal(runner.notified, true);
+      assert.equal(requests.length, 1);
+      const summary = requests[0].body;
+      assert.equal(summary.workerId, 'runner-a');
+      assert.equal(summary.successCount, 1);
+      assert.equal(summary.newPosts, 4);
+      assert.equal(summary.loginProblem, '登录已失效');
+      assert.deepEqual(summary.failingUsers.map(user => user.username), ['bob']);
+    } finally {
+      await database.close();
+      fs.rmSync(reportDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPostEntities, extractDomain } from '../src/modules/PostEntities.js';
+
+describe('extractPostEntities', () => {
+  it('话题字段与正文中的话题合并去重，统一小写', () => {
+    const { hashtags } = extractPostEntities({ text: 'Hello #AI and #news', hashtags: '#ai, #Tech' });
+    assert.deepEqual(hashtags, ['ai', 'tech', 'news']);
+  });
+
+  it('话题字段没有 # 时按逗号和空格拆分', () => {
+    assert.deepEqual(extractPostEntities({ hashtags: 'AI, news  tech' }).hashtags, ['ai', 'news', 'tech']);
+  });
+
+  it('支持中文话题，过长的话题丢弃', () => {
+    const long = 'a'.repeat(141);
+    assert.deepEqual(extractPostEntities({ text: `#人工智能 #${long}` }).hashtags, ['人工智能']);
+  });
+
+  it('提及不包括邮箱，用户名去重并统一小写', () => {
+    const { mentions } = extractPostEntities({ text: '@Alice 联系 bob@example.com (@alice) cc:@carol_1' });
+    assert.deepEqual(mentions, ['alice', 'carol_1']);
+  });
+
+  it('链接区分普通链接和媒体，记录域名', () => {
+    const { urls } = extractPostEntities({
+      urls: 'https://www.Example.com/a, https://example.com/a\nhttps://t.co/x',
+      media_urls: 'https://pbs.twimg.com/media/1.jpg'
+    });
+
+    assert.deepEqual(urls, [
+      { url: 'https://www.Example.com/a', domain: 'example.com', kind: 'link' },
+      { url: 'https://example.com/a', domain: 'example.com', kind: 'link' },
+      { url: 'https://t.co/x', domain: 't.co', kind: 'link' },
+      { url: 'https://pbs.twimg.com/media/1.jpg', domain: 'pbs.twimg.com', kind: 'media' }
+    ]);
+  });
+
+  it('空字段返回空结果', () => {
+    assert.deepEqual(extractPostEntities({}), { hashtags: [], urls: [], mentions: [] });
+  });
+});
+
+describe('extractDomain', () => {
+  it('小写并去掉 www.，无法解析时返回 null', () => {
+    assert.equal(extractDomain('not a url'), null);
+    assert.equal(extractDomain('HTTPS://WWW.Twitter.com/x'), 'twitter.com');
+  });
+});
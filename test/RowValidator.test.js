@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RowValidator } from '../src/modules/RowValidator.js';
+
+function postRow(overrides = {}) {
+  return {
+    tweet_id: '1',
+    text: 'hello',
+    type: 'Tweet',
+    published_at: '2024-01-01T00:00:00.000Z',
+    reply_count: '1',
+    retweet_count: '2',
+    favorite_count: '3',
+    ...overrides
+  };
+}
+
+function userRow(overrides = {}) {
+  return {
+    user_id: '10',
+    username: 'alice',
+    name: 'Alice',
+    followers_count: '5',
+    following_count: '6',
+    ...overrides
+  };
+}
+
+describe('RowValidator', () => {
+  const validator = new RowValidator();
+
+  it('合格的行全部保留，可选字段可以不存在', () => {
+    const rows = [postRow(), postRow({ tweet_id: '2', text: '', view_count: '100' })];
+    const result = validator.validate('posts', rows);
+
+    assert.deepEqual(result.valid, rows);
+    assert.deepEqual(result.rejected, []);
+    assert.deepEqual(result.missingColumns, []);
+  });
+
+  it('逐行检查 ID、计数、日期和链接的格式', () => {
+    const rows = [
+      postRow({ tweet_id: 'abc' }),
+      postRow({ reply_count: '-1' }),
+      postRow({ published_at: 'yesterday' }),
+      postRow({ tweet_url: 'x.com/alice/status/1' }),
+      postRow({ type: ' ' })
+    ];
+    const { valid, rejected } = validator.validate('replies', rows);
+
+    assert.equal(valid.length, 0);
+    assert.deepEqual(rejected.map(item => item.index), [0, 1, 2, 3, 4]);
+    assert.deepEqual(rejected.map(item => item.reasons[0]), [
+      'tweet_id: 不是数字ID (abc)',
+      'reply_count: 不是非负整数 (-1)',
+      'published_at: 无法解析的日期 (yesterday)',
+      'tweet_url: 不是有效链接 (x.com/alice/status/1)',
+      'type: 缺失'
+    ]);
+  });
+
+  it('用户行检查用户名和布尔值', () => {
+    const rows = [
+      userRow({ username: '@bob', verified: 'TRUE' }),
+      userRow({ username: 'not valid' }),
+      userRow({ is_blue_verified: 'yes' })
+    ];
+    const { valid, rejected } = validator.validate('followers', rows);
+
+    assert.equal(valid.length, 1);
+    assert.match(rejected[0].reasons[0], /^username: 不是有效用户名/);
+    assert.match(rejected[1].reasons[0], /^is_blue_verified: 不是布尔值/);
+  });
+
+  it('所有行都缺少必需字段时整批不合格', () => {
+    const rows = [postRow(), postRow({ tweet_id: '2' })];
+    rows.forEach(row => delete row.published_at);
+
+    const { valid, rejected, missingColumns } = validator.validate('posts', rows);
+
+    assert.deepEqual(missingColumns, ['published_at']);
+    assert.equal(valid.length, 0);
+    assert.deepEqual(rejected[0].reasons, ['published_at: 导出中没有该列']);
+  });
+
+  it('只有部分行缺少字段时按单行缺失处理', () => {
+    const rows = [postRow(), postRow({ tweet_id: '2' })];
+    delete rows[1].published_at;
+
+    const { valid, rejected, missingColumns } = validator.validate('posts', rows);
+
+    assert.deepEqual(missingColumns, []);
+    assert.equal(valid.length, 1);
+    assert.deepEqual(rejected[0].reasons, ['published_at: 缺失']);
+  });
+
+  it('不是对象的行不合格，未知类型不做检查', () => {
+    const { rejected } = validator.validate('posts', [postRow(), null, ['1']]);
+    assert.deepEqual(rejected.map(item => item.reasons), [['不是有效的数据行'], ['不是有效的数据行']]);
+
+    const rows = [{ anything: true }];
+    assert.deepEqual(validator.validate('likes', rows), { valid: rows, rejected: [], missingColumns: [] });
+  });
+
+  it('汇总最常见的原因，去掉具体的值', () => {
+    const rows = [
+      postRow({ published_at: 'a' }),
+      postRow({ published_at: 'b' }),
+      postRow({ reply_count: 'x' })
+    ];
+    const { rejected } = validator.validate('posts', rows);
+
+    assert.deepEqual(validator.summarize(rejected), [
+      'published_at: 无法解析的日期 × 2',
+      'reply_count: 不是非负整数 × 1'
+    ]);
+    assert.equal(validator.summarize(rejected, 1).length, 1);
+  });
+});
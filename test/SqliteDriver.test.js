@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SqlitePool } from '../src/modules/SqliteDriver.js';
+
+describe('SqlitePool', () => {
+  let pool;
+
+  async function count() {
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.query('SELECT COUNT(*) AS n FROM items');
+      return rows[0].n;
+    } finally {
+      connection.release();
+    }
+  }
+
+  beforeEach(async () => {
+    pool = new SqlitePool(':memory:');
+    const connection = await pool.getConnection();
+    await connection.query('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+    connection.release();
+  });
+
+  afterEach(async () => {
+    await pool.end();
+  });
+
+  it('事务进行中其他连接的写入等到事务结束后执行，不随事务回滚', async () => {
+    const tx = await pool.getConnection();
+    const other = await pool.getConnection();
+
+    await tx.beginTransaction();
+    await tx.query('INSERT INTO items (name) VALUES (?)', ['in-transaction']);
+
+    // 模拟心跳: 事务的两次 await 之间插入的语句
+    const pending = other.query('INSERT INTO items (name) VALUES (?)', ['heartbeat']);
+    await new Promise(resolve => setImmediate(resolve));
+
+    await tx.rollback();
+    await pending;
+    tx.release();
+    other.release();
+
+    const connection = await pool.getConnection();
+    const [rows] = await connection.query('SELECT name FROM items');
+    connection.release();
+    assert.deepEqual(rows.map(row => row.name), ['heartbeat']);
+  });
+
+  it('事务依次执行', async () => {
+    const run = async name => {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        await connection.query('INSERT INTO items (name) VALUES (?)', [name]);
+        await new Promise(resolve => setImmediate(resolve));
+        await connection.commit();
+      } finally {
+        connection.release();
+      }
+    };
+
+    await Promise.all([run('a'), run('b'), run('c')]);
+    assert.equal(await count(), 3);
+  });
+
+  it('release 时回滚未结束的事务并释放锁', async () => {
+    const tx = await pool.getConnection();
+    await tx.beginTransaction();
+    await tx.query('INSERT INTO items (name) VALUES (?)', ['abandoned']);
+    tx.release();
+
+    assert.equal(await count(), 0);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CATEGORIES, USER_ERROR_CATEGORIES, classifyError, createTaskError } from '../src/modules/TaskErrors.js';
+
+describe('classifyError', () => {
+  it('按错误信息分类', () => {
+    assert.equal(classifyError('登录已失效'), ERROR_CATEGORIES.AUTH);
+    assert.equal(classifyError(new Error('This account doesn\'t exist')), ERROR_CATEGORIES.NOT_FOUND);
+    assert.equal(classifyError('任务超时 (90秒)'), ERROR_CATEGORIES.TIMEOUT);
+    assert.equal(classifyError('未采集到数据'), ERROR_CATEGORIES.EMPTY_DATA);
+    assert.equal(classifyError('something else'), ERROR_CATEGORIES.UNKNOWN);
+  });
+
+  it('通用的 empty 错误不归为用户问题', () => {
+    assert.equal(classifyError('Protocol error: Response body is empty'), ERROR_CATEGORIES.UNKNOWN);
+    assert.equal(classifyError('下载失败: empty file'), ERROR_CATEGORIES.EXTENSION);
+    assert.equal(classifyError('Navigation timeout: empty response'), ERROR_CATEGORIES.TIMEOUT);
+
+    for (const message of ['Response body is empty', 'download: empty file']) {
+      assert.ok(!USER_ERROR_CATEGORIES.includes(classifyError(message)), message);
+    }
+  });
+
+  it('已指定分类时直接使用', () => {
+    assert.equal(classifyError(createTaskError('任何信息', ERROR_CATEGORIES.EMPTY_DATA)), ERROR_CATEGORIES.EMPTY_DATA);
+  });
+});
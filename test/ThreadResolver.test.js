@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThreadResolver, THREAD_CONFIDENCE } from '../src/modules/ThreadResolver.js';
+
+function post(id, author, minutes, overrides = {}) {
+  return {
+    tweet_id: String(id),
+    type: 'Reply',
+    text: 'reply',
+    author_username: author,
+    published_at: new Date(Date.UTC(2024, 0, 1) + minutes * 60 * 1000).toISOString(),
+    ...overrides
+  };
+}
+
+describe('ThreadResolver', () => {
+  it('按 @提及 找到时间更早的父推文', () => {
+    const rows = [
+      post(1, 'bob', 0, { type: 'Tweet', text: 'hello' }),
+      post(2, 'carol', 1, { type: 'Tweet', text: 'hi' }),
+      post(3, 'alice', 5, { text: '@bob nice' })
+    ];
+
+    const stats = new ThreadResolver().resolve(rows);
+
+    assert.equal(rows[2].in_reply_to_tweet_id, '1');
+    assert.equal(rows[2].conversation_id, '1');
+    assert.equal(rows[2].thread_confidence, THREAD_CONFIDENCE.INFERRED);
+    assert.equal(stats.inferred, 1);
+  });
+
+  it('同一作者有多条更早的推文时取最晚的一条，不选更晚的', () => {
+    const rows = [
+      post(1, 'bob', 0, { type: 'Tweet' }),
+      post(2, 'bob', 3, { type: 'Tweet' }),
+      post(3, 'bob', 9, { type: 'Tweet' }),
+      post(4, 'carol', 1, { type: 'Tweet' }),
+      post(5, 'alice', 5, { text: '@bob yes' })
+    ];
+
+    new ThreadResolver().resolve(rows);
+    assert.equal(rows[4].in_reply_to_tweet_id, '2');
+  });
+
+  it('数据源提供的父推文不被覆盖', () => {
+    const rows = [
+      post(1, 'bob', 0, { type: 'Tweet' }),
+      post(2, 'alice', 1, { text: '@bob a', in_reply_to_tweet_id: '99' })
+    ];
+
+    const stats = new ThreadResolver().resolve(rows);
+    assert.equal(rows[1].in_reply_to_tweet_id, '99');
+    assert.equal(rows[1].thread_confidence, THREAD_CONFIDENCE.EXPLICIT);
+    assert.equal(stats.explicit, 1);
+  });
+
+  it('同一时间互相 @提及的回复不会互为父推文', () => {
+    const rows = [
+      post(1, 'alice', 0, { text: '@bob hi' }),
+      post(2, 'bob', 0, { text: '@alice yo' })
+    ];
+
+    const resolver = new ThreadResolver();
+    const stats = resolver.resolve(rows);
+
+    assert.equal(rows[0].in_reply_to_tweet_id, '2');
+    assert.equal(rows[1].in_reply_to_tweet_id, null);
+    assert.equal(rows[1].thread_confidence, null);
+    assert.ok(rows.every(row => row.conversation_id === '2'));
+    assert.deepEqual(stats, { explicit: 0, inferred: 1, guessed: 0, unresolved: 1 });
+
+    const tree = resolver.buildTree('2', rows);
+    assert.equal(tree.roots.length, 1);
+    assert.equal(tree.roots[0].tweet_id, '2');
+    assert.deepEqual(tree.roots[0].replies.map(reply => reply.tweet_id), ['1']);
+  });
+
+  it('对话树中成环的推文作为根节点保留', () => {
+    const rows = [
+      post(1, 'alice', 0, { username: 'alice', in_reply_to_tweet_id: '2' }),
+      post(2, 'bob', 1, { username: 'bob', in_reply_to_tweet_id: '1' }),
+      post(3, 'carol', 2, { username: 'carol', in_reply_to_tweet_id: '2' })
+    ];
+
+    const resolver = new ThreadResolver();
+    const tree = resolver.buildTree('1', rows);
+
+    assert.equal(tree.post_count, 3);
+    assert.deepEqual(tree.roots.map(root => root.tweet_id), ['1']);
+    assert.deepEqual(tree.roots[0].replies.map(reply => reply.tweet_id), ['2']);
+    assert.deepEqual(tree.roots[0].replies[0].replies.map(reply => reply.tweet_id), ['3']);
+    assert.match(resolver.toMarkdown(tree), /^- \*\*@alice\*\*[^]*\n  - \*\*@bob\*\*[^]*\n    - \*\*@carol\*\*/m);
+  });
+
+  it('很长的自回复链在线性时间内解析到同一个对话根', () => {
+    const count = 20000;
+    // 导出顺序为新的在前，上一行不是父推文，只能按时间查找
+    const rows = Array.from({ length: count }, (_, i) => post(count - i, 'alice', count - i, {
+      type: i === count - 1 ? 'Tweet' : 'Reply'
+    }));
+
+    const started = Date.now();
+    const stats = new ThreadResolver().resolve(rows);
+
+    assert.ok(Date.now() - started < 5000, `耗时 ${Date.now() - started}ms`);
+    assert.equal(stats.guessed, count - 1);
+    assert.equal(rows[0].in_reply_to_tweet_id, String(count - 1));
+    assert.ok(rows.every(row => row.conversation_id === '1'));
+  });
+});
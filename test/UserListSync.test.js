@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UserListSync } from '../src/modules/UserListSync.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('UserListSync.normalize', () => {
+  const sync = new UserListSync(null);
+
+  it('展开多个类型，tweets 视为 posts，默认 posts', () => {
+    const { entries, errors } = sync.normalize([
+      { username: '@alice', type: 'tweets, followers' },
+      { username: 'bob', type: ['Following'] },
+      { username: 'carol' }
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(entries.map(entry => `${entry.username}/${entry.type}`), [
+      'alice/posts', 'alice/followers', 'bob/following', 'carol/posts'
+    ]);
+  });
+
+  it('表头不区分大小写和下划线', () => {
+    const { entries } = sync.normalize([{ Username: 'alice', Max_Count: '200', Frequency_Group: 'high' }]);
+
+    assert.equal(entries[0].maxCount, 200);
+    assert.equal(entries[0].frequency, 'high');
+  });
+
+  it('enabled 只有 false/0/no 视为禁用', () => {
+    const values = [false, 'false', 0, '0', 'no', true, 'true', 'yes', '', undefined];
+    const { entries } = sync.normalize(values.map((enabled, i) => ({ username: `user${i}`, enabled })));
+
+    assert.deepEqual(entries.map(entry => entry.enabled), [false, false, false, false, false, true, true, true, true, true]);
+  });
+
+  it('未填写的 maxCount/frequency 保持 undefined，frequency=auto 为 null', () => {
+    const { entries } = sync.normalize([
+      { username: 'alice', maxCount: '', frequency: '' },
+      { username: 'bob', frequency: 'auto' }
+    ]);
+
+    assert.equal(entries[0].maxCount, undefined);
+    assert.equal(entries[0].frequency, undefined);
+    assert.equal(entries[1].frequency, null);
+  });
+
+  it('同一用户同一类型重复时以最后一条为准', () => {
+    const { entries } = sync.normalize([
+      { username: 'alice', maxCount: 100 },
+      { username: 'ALICE', maxCount: 300 }
+    ]);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].username, 'ALICE');
+    assert.equal(entries[0].maxCount, 300);
+  });
+
+  it('无效的记录报告错误并跳过', () => {
+    const { entries, errors } = sync.normalize([
+      { username: 'not a user' },
+      { username: 'a_very_long_username' },
+      { username: 'alice', type: 'likes' },
+      { username: 'bob', maxCount: '-5' },
+      { username: 'carol', maxCount: '1.5' },
+      { username: 'dave', frequency: 'hourly' },
+      null,
+      { username: 'erin' }
+    ]);
+
+    assert.equal(errors.length, 7);
+    assert.match(errors[0], /^第 1 条: 无效的用户名/);
+    assert.match(errors[2], /不支持的任务类型 "likes"/);
+    assert.match(errors[3], /无效的 maxCount "-5"/);
+    assert.match(errors[5], /不支持的频率分组 "hourly"/);
+    assert.deepEqual(entries.map(entry => entry.username), ['erin']);
+  });
+});
+
+describe('UserListSync 导入计划', () => {
+  let database;
+  let sync;
+
+  async function getTask(username, type) {
+    const [task] = await database.listTasks({ username, taskType: type });
+    return task;
+  }
+
+  beforeEach(async () => {
+    database = new MemoryDatabase();
+    await database.init();
+    sync = new UserListSync(database);
+
+    await database.upsertTask('alice', 'posts', 100);
+    await database.upsertTask('bob', 'posts');
+    await database.upsertTask('carol', 'posts');
+    await database.setTasksEnabled('carol', false);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('区分新增、修改、禁用和未变化', async () => {
+    const { entries } = sync.normalize([
+      { username: 'ALICE', maxCount: 200 },
+      { username: 'bob', enabled: 'no' },
+      { username: 'carol' },
+      { username: 'dave', type: 'followers', frequency: 'low', enabled: false }
+    ]);
+    const plan = await sync.plan(entries);
+
+    assert.deepEqual(plan.add.map(entry => `${entry.username}/${entry.type}`), ['dave/followers']);
+    assert.deepEqual(plan.change.map(item => item.username), ['alice', 'carol']);
+    assert.deepEqual(plan.change[0].changes, [{ field: 'maxCount', from: 100, to: 200 }]);
+    assert.deepEqual(plan.change[1].changes, [{ field: 'enabled', from: false, to: true }]);
+    assert.deepEqual(plan.disable.map(item => item.username), ['bob']);
+    assert.deepEqual(plan.unchanged, []);
+
+    await sync.apply(plan);
+
+    assert.equal((await getTask('alice', 'posts')).max_count, 200);
+    assert.equal((await getTask('bob', 'posts')).enabled, false);
+    assert.equal((await getTask('carol', 'posts')).enabled, true);
+
+    const dave = await getTask('dave', 'followers');
+    assert.equal(dave.enabled, false);
+    assert.equal(dave.frequency_override, 'low');
+
+    const again = await sync.plan(entries);
+    assert.equal(again.add.length + again.change.length + again.disable.length, 0);
+  });
+
+  it('disableMissing 禁用文件中没有的已启用任务', async () => {
+    const { entries } = sync.normalize([{ username: 'alice' }]);
+
+    const plan = await sync.plan(entries);
+    assert.equal(plan.disable.length, 0);
+    assert.deepEqual(plan.unchanged.map(item => item.username), ['alice']);
+
+    const strict = await sync.plan(entries, { disableMissing: true });
+    assert.deepEqual(strict.disable, [{ username: 'bob', type: 'posts', missing: true, changes: [] }]);
+
+    await sync.apply(strict);
+    assert.equal((await getTask('bob', 'posts')).enabled, false);
+    assert.equal((await getTask('alice', 'posts')).enabled, true);
+  });
+
+  it('导出的 CSV 可以原样导入', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-list-'));
+
+    try {
+      const file = path.join(dir, 'users.csv');
+      assert.equal(await sync.exportToFile(file), 3);
+
+      const { entries, errors } = sync.normalize(sync.readFile(file));
+      assert.deepEqual(errors, []);
+
+      const plan = await sync.plan(entries, { disableMissing: true });
+      assert.equal(plan.unchanged.length, 3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
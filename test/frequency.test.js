@@ -0,0 +1,175 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FREQUENCY_GROUP_HOURS,
+  classifyPostFrequency,
+  estimatePostsPerDay
+} from '../src/modules/DatabaseManager.js';
+import { MemoryDatabase } from '../src/modules/MemoryDatabase.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-01-01T00:00:00Z');
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('classifyPostFrequency', () => {
+  it('按日均发帖数的阈值分组', () => {
+    assert.equal(classifyPostFrequency(12), 'very_high');
+    assert.equal(classifyPostFrequency(7), 'very_high');
+    assert.equal(classifyPostFrequency(6.99), 'high');
+    assert.equal(classifyPostFrequency(3.5), 'high');
+    assert.equal(classifyPostFrequency(1.6), 'medium_high');
+    assert.equal(classifyPostFrequency(1.59), 'medium');
+    assert.equal(classifyPostFrequency(0.8), 'medium');
+    assert.equal(classifyPostFrequency(0.3), 'low');
+    assert.equal(classifyPostFrequency(0.29), 'very_low');
+    assert.equal(classifyPostFrequency(0), 'very_low');
+  });
+
+  it('每个分组都有运行间隔', () => {
+    for (const rate of [0, 0.5, 1, 2, 4, 8]) {
+      assert.ok(FREQUENCY_GROUP_HOURS[classifyPostFrequency(rate)]);
+    }
+  });
+});
+
+describe('estimatePostsPerDay', () => {
+  it('首次采集使用历史值或默认值 2', () => {
+    assert.equal(estimatePostsPerDay({ lastPostCount: 0, lastRunAt: null }, 50, NOW), 2);
+    assert.equal(estimatePostsPerDay({ lastPostCount: 0, lastRunAt: null, avgPostsPerDay: 5 }, 50, NOW), 5);
+    assert.equal(estimatePostsPerDay({ lastPostCount: 10, lastRunAt: null, avgPostsPerDay: 5 }, 50, NOW), 5);
+  });
+
+  it('间隔小于 1 小时时忽略本次采集', () => {
+    const history = { lastPostCount: 10, lastRunAt: new Date(NOW - 30 * 60 * 1000), avgPostsPerDay: 3 };
+    assert.equal(estimatePostsPerDay(history, 40, NOW), 3);
+  });
+
+  it('间隔小于 12 小时时历史值权重 70%', () => {
+    // 6 小时新增 5 条 = 20 条/天
+    const history = { lastPostCount: 100, lastRunAt: new Date(NOW - DAY / 4), avgPostsPerDay: 2 };
+    assert.equal(estimatePostsPerDay(history, 105, NOW), 2 * 0.7 + 20 * 0.3);
+  });
+
+  it('间隔超过 12 小时时本次速率权重 70%', () => {
+    // 2 天新增 20 条 = 10 条/天
+    const history = { lastPostCount: 100, lastRunAt: new Date(NOW - 2 * DAY), avgPostsPerDay: 1 };
+    assert.equal(estimatePostsPerDay(history, 120, NOW), 1 * 0.3 + 10 * 0.7);
+
+    // 没有历史速率时完全使用本次速率
+    assert.equal(estimatePostsPerDay({ ...history, avgPostsPerDay: null }, 120, NOW), 10);
+  });
+
+  it('推文数减少时按 0 新增计算，并限制在 [0, 100]', () => {
+    const history = { lastPostCount: 100, lastRunAt: new Date(NOW - DAY), avgPostsPerDay: 1 };
+    assert.equal(estimatePostsPerDay(history, 80, NOW), 0.3);
+    assert.equal(estimatePostsPerDay(history, 10000, NOW), 100);
+  });
+});
+
+describe('calculateNextRunTime', () => {
+  const database = new MemoryDatabase();
+
+  afterEach(() => mock.timers.reset());
+
+  it('返回间隔后的 UTC 时间', () => {
+    // 北京时间 08:00 + 8h = 16:00
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    assert.equal(database.calculateNextRunTime(8), '2024-01-01 08:00:00');
+  });
+
+  it('落在北京时间 0-8 点时推迟到 8 点', () => {
+    // 北京时间 20:00 + 8h = 次日 04:00 -> 次日 08:00
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T12:00:00Z') });
+    assert.equal(database.calculateNextRunTime(8), '2024-01-02 00:00:00');
+  });
+});
+
+describe('updateUserFrequency', () => {
+  let database;
+
+  beforeEach(async () => {
+    database = new MemoryDatabase();
+    await database.init();
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+  });
+
+  afterEach(async () => {
+    mock.timers.reset();
+    await database.close();
+  });
+
+  async function createTask(type, history = {}) {
+    await database.upsertTask('alice', type);
+    const [task] = await database.listTasks({ username: 'alice', taskType: type });
+
+    const connection = await database.getConnection();
+    try {
+      await connection.query(
+        `UPDATE scrape_tasks SET last_run_at = ?, last_post_count = ?, avg_posts_per_day = ?, frequency_override = ?
+         WHERE id = ?`,
+        [history.lastRunAt || null, history.lastPostCount || 0, history.avgPostsPerDay || null, history.override || null, task.id]
+      );
+    } finally {
+      connection.release();
+    }
+    return task.id;
+  }
+
+  async function getTask(taskId) {
+    const [task] = (await database.listTasks({ username: 'alice' })).filter(t => t.id === taskId);
+    return task;
+  }
+
+  it('posts 任务按发帖速率分组并写入下次运行时间', async () => {
+    const taskId = await createTask('posts', {
+      lastRunAt: '2023-12-30 00:00:00', lastPostCount: 100, avgPostsPerDay: 1
+    });
+
+    await database.updateUserFrequency(taskId, 120);
+
+    const task = await getTask(taskId);
+    assert.equal(task.frequency_group, 'very_high');
+    assert.equal(Number(task.avg_posts_per_day).toFixed(2), '7.30');
+    assert.equal(task.last_post_count, 120);
+    assert.equal(database.parseDateTime(task.next_run_time), database.calculateNextRunTime(FREQUENCY_GROUP_HOURS.very_high));
+  });
+
+  it('首次采集使用默认速率', async () => {
+    const taskId = await createTask('posts');
+
+    await database.updateUserFrequency(taskId, 300);
+
+    const task = await getTask(taskId);
+    assert.equal(task.frequency_group, 'medium_high');
+    assert.equal(task.last_post_count, 300);
+  });
+
+  it('手动指定的分组优先，但仍更新发帖速率', async () => {
+    const taskId = await createTask('posts', {
+      lastRunAt: '2023-12-30 00:00:00', lastPostCount: 100, avgPostsPerDay: 1, override: 'very_low'
+    });
+
+    await database.updateUserFrequency(taskId, 120);
+
+    const task = await getTask(taskId);
+    assert.equal(task.frequency_group, 'very_low');
+    assert.equal(Number(task.avg_posts_per_day).toFixed(2), '7.30');
+    assert.equal(database.parseDateTime(task.next_run_time), database.calculateNextRunTime(FREQUENCY_GROUP_HOURS.very_low));
+  });
+
+  it('非 posts 任务固定为 low', async () => {
+    const taskId = await createTask('followers', { lastRunAt: '2023-12-30 00:00:00', lastPostCount: 100 });
+
+    await database.updateUserFrequency(taskId, 5000);
+
+    const task = await getTask(taskId);
+    assert.equal(task.frequency_group, 'low');
+    assert.equal(task.last_post_count, 5000);
+    assert.equal(database.parseDateTime(task.next_run_time), database.calculateNextRunTime(FREQUENCY_GROUP_HOURS.low));
+  });
+});